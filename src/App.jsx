@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Heart, ShieldCheck, Sparkles, Zap, MessageCircle, ArrowRight, Mail, AlertCircle, Instagram, Twitter, Github, User, BookOpen, School, Phone, Calendar, Hash, Camera, Settings, LogOut, Search, UserCircle, X, Check } from 'lucide-react';
+import { Heart, ShieldCheck, Sparkles, Zap, MessageCircle, ArrowRight, Mail, AlertCircle, Instagram, Twitter, Github, User, BookOpen, School, Phone, Calendar, Hash, Camera, Settings, LogOut, Search, UserCircle, X, Check, Flag, Ban, KeyRound, GraduationCap, Users, Pencil, Clock, CheckCheck } from 'lucide-react';
 import { supabase } from './supabase';
 
 /**
@@ -14,10 +14,24 @@ const App = () => {
   const [userProfile, setUserProfile] = useState(null);
   const [activeChat, setActiveChat] = useState(null);
   const [email, setEmail] = useState('');
+  const [authType, setAuthType] = useState('signup');
+  const [universities, setUniversities] = useState([]);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [presence, setPresence] = useState({ online: 0, searching: 0 });
 
   const isInitialMount = useRef(true);
+  const presenceChannelRef = useRef(null);
+  const isAdmin = session?.user?.app_metadata?.role === 'admin';
+
+  // Merges server-decided chat changes into the open chat. Only the fields
+  // the server moves are taken, so nothing can rewrite who is in the chat.
+  const handleChatChange = useCallback((changes) => {
+    const allowed = Object.fromEntries(
+      Object.entries(changes).filter(([field]) => CHAT_STATE_FIELDS.includes(field))
+    );
+    setActiveChat((prev) => (prev ? { ...prev, ...allowed } : prev));
+  }, []);
 
   useEffect(() => {
     // 1. Single Auth Listener (handles INITIAL_SESSION and all changes)
@@ -39,6 +53,19 @@ const App = () => {
     };
   }, []);
 
+  // Allowed campuses for signup; the same list is enforced again on the server
+  useEffect(() => {
+    supabase
+      .from('universities')
+      .select('domain, name')
+      .eq('active', true)
+      .order('name')
+      .then(({ data, error }) => {
+        if (error) console.error("Error fetching universities:", error);
+        if (data) setUniversities(data);
+      });
+  }, []);
+
   // 2. Stable Chat Subscription
   useEffect(() => {
     if (!session?.user?.id) return;
@@ -76,12 +103,60 @@ const App = () => {
     };
   }, [session?.user?.id]);
 
-  const fetchProfile = async (userId) => {
+  // 3. Campus Presence: live counts for the dashboard, plus a heartbeat so the
+  // server can sweep profiles whose tab closed without saying goodbye
+  const universityId = userProfile?.university_id;
+  useEffect(() => {
+    if (!session?.user?.id || !universityId) return;
+
+    const channel = supabase.channel(`online:${universityId}`, {
+      config: { private: true, presence: { key: session.user.id } },
+    });
+    presenceChannelRef.current = channel;
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        // One key per user, however many tabs they have open
+        const users = Object.values(channel.presenceState());
+        setPresence({
+          online: users.length,
+          searching: users.filter((metas) => metas.some((meta) => meta.searching)).length,
+        });
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') channel.track({ searching: false });
+      });
+
+    const heartbeat = () => supabase.rpc('touch_presence').then(({ error }) => {
+      if (error) console.error("Presence Heartbeat Error:", error);
+    });
+    heartbeat();
+    const interval = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+
+    return () => {
+      clearInterval(interval);
+      presenceChannelRef.current = null;
+      supabase.removeChannel(channel);
+      supabase.rpc('go_offline').then();
+    };
+  }, [session?.user?.id, universityId]);
+
+  const handleSearchingChange = useCallback((searching) => {
+    presenceChannelRef.current?.track({ searching });
+  }, []);
+
+  const openChat = useCallback((chat) => {
+    setActiveChat(chat);
+    setView('chat');
+  }, []);
+
+  // Pass { redirect: false } to refresh the profile without leaving the current view
+  const fetchProfile = async (userId, { redirect = true } = {}) => {
     try {
       console.log("Fetching profile for:", userId);
       const { data: profile, error } = await supabase
         .from('profiles')
-        .select('*')
+        .select('*, university:universities(name)')
         .eq('id', userId)
         .maybeSingle(); // maybeSingle is safer for 406/404 issues
 
@@ -97,8 +172,28 @@ const App = () => {
 
       if (profile) {
         console.log("Profile found:", profile.name);
-        setUserProfile(profile);
-        setView('dashboard');
+        // Our number, date of birth and moderation record are kept apart from
+        // the public profile row; only we can read them
+        const [{ data: contact }, { data: privateProfile }, { data: standing }] = await Promise.all([
+          supabase.from('private_contacts').select('whatsapp').eq('user_id', userId).maybeSingle(),
+          supabase.from('private_profiles').select('date_of_birth').eq('user_id', userId).maybeSingle(),
+          supabase
+            .from('account_standing')
+            .select('banned, suspended_until, warning_count, last_warned_at')
+            .eq('user_id', userId)
+            .maybeSingle(),
+        ]);
+        const fullProfile = {
+          ...profile,
+          ...standing,
+          whatsapp: contact?.whatsapp || null,
+          date_of_birth: privateProfile?.date_of_birth || null,
+        };
+        setUserProfile(fullProfile);
+        // Profiles from before date_of_birth existed still have to prove they are 18+
+        if (redirect) {
+          setView(!fullProfile.date_of_birth ? 'onboarding' : getRestriction(fullProfile) ? 'restricted' : 'dashboard');
+        }
       } else {
         console.log("No profile found, redirecting to onboarding");
         setView('onboarding');
@@ -114,23 +209,21 @@ const App = () => {
     e.preventDefault();
     setError('');
 
-    const domain = '@gbu.ac.in';
-    if (!email.toLowerCase().endsWith(domain)) {
-      setError(`Only ${domain} emails are allowed for campus safety.`);
+    const domain = email.trim().toLowerCase().split('@')[1];
+    if (!universities.some((u) => u.domain === domain)) {
+      const allowed = universities.map((u) => `@${u.domain}`).join(', ');
+      setError(allowed
+        ? `Only ${allowed} emails are allowed for campus safety.`
+        : 'Only verified university emails are allowed for campus safety.');
       return;
     }
 
     setLoading(true);
     try {
-      const { error } = await supabase.auth.signInWithOtp({
-        email: email,
-        options: {
-          shouldCreateUser: type === 'signup',
-          emailRedirectTo: window.location.origin,
-        }
-      });
+      const { error } = await sendOtp(type);
 
       if (error) throw error;
+      setAuthType(type);
       setView('auth-sent');
     } catch (err) {
       setError(err.message);
@@ -139,6 +232,16 @@ const App = () => {
     }
   };
 
+  // One email carries both the magic link and the 6-digit code, provided the
+  // email templates include {{ .Token }} (see supabase_schema.sql)
+  const sendOtp = (type) => supabase.auth.signInWithOtp({
+    email: email,
+    options: {
+      shouldCreateUser: type === 'signup',
+      emailRedirectTo: window.location.origin,
+    }
+  });
+
   return (
     <div className="app-wrapper">
       <AnimatePresence mode="wait">
@@ -163,6 +266,7 @@ const App = () => {
                 type={view === 'auth-signup' ? 'signup' : 'login'}
                 email={email}
                 setEmail={setEmail}
+                universities={universities}
                 error={error}
                 loading={loading}
                 onSubmit={(e) => handleEmailAuth(e, view === 'auth-signup' ? 'signup' : 'login')}
@@ -173,35 +277,54 @@ const App = () => {
               <AuthSentView
                 key="auth-sent"
                 email={email}
+                onResend={() => sendOtp(authType)}
                 onBack={() => setView('auth-login')}
               />
             ) : null
           ) : (
-            (view === 'onboarding' || !userProfile) ? (
+            (view === 'onboarding' || !userProfile?.date_of_birth) ? (
               <OnboardingView
-                key="onboarding"
+                key={userProfile ? 'onboarding-dob' : 'onboarding'}
                 session={session}
+                profile={userProfile}
                 onComplete={() => fetchProfile(session.user.id)}
               />
+            ) : getRestriction(userProfile) ? (
+              <RestrictedView
+                key="restricted"
+                restriction={getRestriction(userProfile)}
+                onLogout={() => supabase.auth.signOut()}
+              />
             ) : view === 'dashboard' ? (
               <DashboardView
                 key="dashboard"
                 profile={userProfile}
                 onGoToProfile={() => setView('profile')}
-                onLogout={() => supabase.auth.signOut()}
+                onGoToAdmin={isAdmin ? () => setView('admin') : null}
+                presence={presence}
+                onSearchingChange={handleSearchingChange}
+                onChatFound={openChat}
+                onLogout={() => supabase.rpc('go_offline').then(() => supabase.auth.signOut())}
+              />
+            ) : view === 'admin' && isAdmin ? (
+              <AdminView
+                key="admin"
+                onBack={() => setView('dashboard')}
               />
             ) : view === 'profile' ? (
               <ProfileView
                 key="profile"
                 profile={userProfile}
                 onBack={() => setView('dashboard')}
-                onUpdate={async () => await fetchProfile(session.user.id)}
+                userEmail={session.user.email}
+                onUpdate={async () => await fetchProfile(session.user.id, { redirect: false })}
               />
             ) : view === 'chat' ? (
               <ChatView
                 key="chat"
                 profile={userProfile}
                 chat={activeChat}
+                onChatChange={handleChatChange}
                 onClose={() => {
                   setActiveChat(null);
                   setView('dashboard');
@@ -215,6 +338,200 @@ const App = () => {
   );
 };
 
+// Banned or currently suspended accounts are locked out of everything but logout
+const getRestriction = (profile) => {
+  if (!profile) return null;
+  if (profile.banned) return { type: 'banned' };
+  if (profile.suspended_until && new Date(profile.suspended_until) > new Date()) {
+    return { type: 'suspended', until: new Date(profile.suspended_until) };
+  }
+  return null;
+};
+
+const MIN_AGE = 18;
+
+// Whole years since a YYYY-MM-DD date of birth, in the viewer's local calendar
+const getAge = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  const today = new Date();
+  const hadBirthday = today.getMonth() + 1 > month || (today.getMonth() + 1 === month && today.getDate() >= day);
+  return today.getFullYear() - year - (hadBirthday ? 0 : 1);
+};
+
+// Latest date of birth that is old enough today, as YYYY-MM-DD for <input type="date">
+const getLatestAdultBirthDate = () => {
+  const today = new Date();
+  const year = today.getFullYear() - MIN_AGE;
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const PROFILE_LIMITS = { name: 40, course: 60, branch: 60, bio: 160 };
+
+const GENDER_OPTIONS = [
+  { value: 'woman', label: 'Woman' },
+  { value: 'man', label: 'Man' },
+  { value: 'non_binary', label: 'Non-binary' },
+  { value: 'prefer_not_to_say', label: 'Prefer not to say' },
+];
+
+// Schools (with their departments) for the campus of the given email, plus academic years
+const useAcademicOptions = (email) => {
+  const [options, setOptions] = useState({ schools: [], years: [] });
+  const domain = email?.split('@')[1]?.toLowerCase();
+
+  useEffect(() => {
+    if (!domain) return;
+
+    Promise.all([
+      supabase
+        .from('schools')
+        .select('name, departments(name), universities!inner(domain)')
+        .eq('universities.domain', domain)
+        .order('name'),
+      supabase
+        .from('academic_years')
+        .select('value, label')
+        .order('value'),
+    ]).then(([schoolsRes, yearsRes]) => {
+      if (schoolsRes.error) console.error("Error fetching schools:", schoolsRes.error);
+      if (yearsRes.error) console.error("Error fetching academic years:", yearsRes.error);
+      setOptions({ schools: schoolsRes.data || [], years: yearsRes.data || [] });
+    });
+  }, [domain]);
+
+  return options;
+};
+
+const toAcademicForm = (profile) => ({
+  gender: profile?.gender || '',
+  academicYear: profile?.academic_year ? String(profile.academic_year) : '',
+  school: profile?.school || '',
+  department: profile?.department || '',
+  course: profile?.course || '',
+  branch: profile?.branch || '',
+  bio: profile?.bio || '',
+});
+
+const toAcademicColumns = (formData) => ({
+  gender: formData.gender,
+  academic_year: parseInt(formData.academicYear, 10),
+  school: formData.school,
+  department: formData.department,
+  course: formData.course.trim(),
+  branch: formData.branch.trim(),
+  bio: formData.bio.trim() || null,
+});
+
+// Dial codes with the national number lengths WhatsApp accepts for each.
+// +1 is shared by the US and Canada, so one entry covers both.
+const COUNTRY_CODES = [
+  { iso: 'IN', name: 'India', dial: '91', lengths: [10] },
+  { iso: 'NP', name: 'Nepal', dial: '977', lengths: [10] },
+  { iso: 'BD', name: 'Bangladesh', dial: '880', lengths: [10] },
+  { iso: 'LK', name: 'Sri Lanka', dial: '94', lengths: [9] },
+  { iso: 'BT', name: 'Bhutan', dial: '975', lengths: [8] },
+  { iso: 'AF', name: 'Afghanistan', dial: '93', lengths: [9] },
+  { iso: 'AE', name: 'UAE', dial: '971', lengths: [9] },
+  { iso: 'US', name: 'US / Canada', dial: '1', lengths: [10] },
+  { iso: 'GB', name: 'United Kingdom', dial: '44', lengths: [10] },
+  { iso: 'DE', name: 'Germany', dial: '49', lengths: [10, 11] },
+  { iso: 'FR', name: 'France', dial: '33', lengths: [9] },
+  { iso: 'AU', name: 'Australia', dial: '61', lengths: [9] },
+  { iso: 'MY', name: 'Malaysia', dial: '60', lengths: [9, 10] },
+  { iso: 'SG', name: 'Singapore', dial: '65', lengths: [8] },
+  { iso: 'KR', name: 'South Korea', dial: '82', lengths: [9, 10] },
+  { iso: 'JP', name: 'Japan', dial: '81', lengths: [10] },
+  { iso: 'CN', name: 'China', dial: '86', lengths: [11] },
+  { iso: 'NG', name: 'Nigeria', dial: '234', lengths: [10] },
+  { iso: 'KE', name: 'Kenya', dial: '254', lengths: [9] },
+];
+
+const DEFAULT_COUNTRY = 'IN';
+
+const findCountry = (iso) => COUNTRY_CODES.find((c) => c.iso === iso) || COUNTRY_CODES[0];
+
+// E.164 (+<dial><number>) for a national number, or null if the length is wrong.
+// Tolerates a pasted dial code and the local trunk "0" (e.g. UK 07...).
+const normalizeWhatsApp = (iso, raw) => {
+  const country = findCountry(iso);
+  let digits = raw.replace(/\D/g, '');
+  if (digits.startsWith(country.dial) && country.lengths.includes(digits.length - country.dial.length)) {
+    digits = digits.slice(country.dial.length);
+  }
+  digits = digits.replace(/^0+/, '');
+  return country.lengths.includes(digits.length) ? `+${country.dial}${digits}` : null;
+};
+
+// Splits a stored E.164 number back into { country, national } for editing
+const splitWhatsApp = (e164) => {
+  const digits = (e164 || '').replace(/\D/g, '');
+  const country = [...COUNTRY_CODES]
+    .sort((a, b) => b.dial.length - a.dial.length)
+    .find((c) => digits.startsWith(c.dial));
+  return country
+    ? { country: country.iso, national: digits.slice(country.dial.length) }
+    : { country: DEFAULT_COUNTRY, national: digits };
+};
+
+const formatWhatsApp = (e164) => {
+  const { country, national } = splitWhatsApp(e164);
+  return `+${findCountry(country).dial} ${national}`;
+};
+
+// The number goes to private_contacts, never to the publicly readable profile row
+const saveWhatsApp = (userId, whatsapp) => supabase
+  .from('private_contacts')
+  .upsert({ user_id: userId, whatsapp, updated_at: new Date() });
+
+// Same for the date of birth; the server rejects anyone under 18
+const saveDateOfBirth = (userId, dateOfBirth) => supabase
+  .from('private_profiles')
+  .upsert({ user_id: userId, date_of_birth: dateOfBirth, updated_at: new Date() });
+
+const required = (message) => (value) => (value ? '' : message);
+
+const maxLength = (limit, label) => (value) => (
+  value.trim().length > limit ? `${label} must be ${limit} characters or fewer.` : ''
+);
+
+// Field validators shared by onboarding and the profile editor; each returns an error message or ''
+const PROFILE_VALIDATORS = {
+  name: (value) => required('Please enter your name.')(value.trim()) || maxLength(PROFILE_LIMITS.name, 'Name')(value),
+  dateOfBirth: (value) => {
+    const age = getAge(value);
+    if (age === null || Number.isNaN(age)) return 'Please enter your date of birth.';
+    if (age < MIN_AGE) return `You must be ${MIN_AGE} or older to join CathodeAnode.`;
+    return '';
+  },
+  gender: required('Please select a gender option.'),
+  academicYear: required('Please select your academic year.'),
+  school: required('Please select your school.'),
+  department: required('Please select your department.'),
+  course: (value) => required('Please enter your course.')(value.trim()) || maxLength(PROFILE_LIMITS.course, 'Course')(value),
+  branch: (value) => required('Please enter your branch.')(value.trim()) || maxLength(PROFILE_LIMITS.branch, 'Branch')(value),
+  bio: maxLength(PROFILE_LIMITS.bio, 'Bio'),
+  whatsappCountry: required('Please pick a country code.'),
+  whatsapp: (value, formData) => {
+    if (normalizeWhatsApp(formData.whatsappCountry, value)) return '';
+    const { name, lengths } = findCountry(formData.whatsappCountry);
+    return `Please enter a valid ${name} WhatsApp number (${lengths.join(' or ')} digits).`;
+  },
+};
+
+// Returns { field: message } for every listed field that fails validation
+const validateProfileForm = (formData, fields) => Object.fromEntries(
+  fields
+    .map((field) => [field, PROFILE_VALIDATORS[field](formData[field], formData)])
+    .filter(([, message]) => message)
+);
+
+const FieldError = ({ message }) => (
+  message ? <div className="field-error">{message}</div> : null
+);
+
 /* --- Sub-Components --- */
 
 const LandingView = ({ onJoin, onLogin, setView }) => {
@@ -417,7 +734,7 @@ const LandingView = ({ onJoin, onLogin, setView }) => {
   );
 };
 
-const AuthView = ({ type, email, setEmail, error, loading, onSubmit, onBack, onSwitch }) => {
+const AuthView = ({ type, email, setEmail, universities, error, loading, onSubmit, onBack, onSwitch }) => {
   return (
     <motion.div
       className="auth-screen"
@@ -448,12 +765,17 @@ const AuthView = ({ type, email, setEmail, error, loading, onSubmit, onBack, onS
               <input
                 type="email"
                 className="auth-input"
-                placeholder="rollnumber@gbu.ac.in"
+                placeholder={`rollnumber@${universities[0]?.domain || 'university.ac.in'}`}
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 required
               />
             </div>
+            {universities.length > 0 && (
+              <p className="campus-hint">
+                Open to {universities.map((u) => u.name).join(', ')}
+              </p>
+            )}
             {error && (
               <div className="error-msg">
                 <AlertCircle size={14} />
@@ -481,46 +803,231 @@ const AuthView = ({ type, email, setEmail, error, loading, onSubmit, onBack, onS
   );
 };
 
-const OnboardingView = ({ session, onComplete }) => {
-  const [formData, setFormData] = useState({
+// Shared by onboarding and the profile editor; renders into a .form-grid
+const AcademicFields = ({ formData, setFormData, options, errors = {} }) => {
+  const departments = options.schools.find((s) => s.name === formData.school)?.departments || [];
+
+  return (
+    <>
+      <div className="input-group">
+        <label className="input-label">Gender</label>
+        <div className="input-wrapper">
+          <Users className="input-icon" size={18} />
+          <select
+            className="auth-input"
+            value={formData.gender}
+            onChange={(e) => setFormData({ ...formData, gender: e.target.value })}
+            required
+          >
+            <option value="" disabled>Select gender</option>
+            {GENDER_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <FieldError message={errors.gender} />
+      </div>
+
+      <div className="input-group">
+        <label className="input-label">Academic Year</label>
+        <div className="input-wrapper">
+          <GraduationCap className="input-icon" size={18} />
+          <select
+            className="auth-input"
+            value={formData.academicYear}
+            onChange={(e) => setFormData({ ...formData, academicYear: e.target.value })}
+            required
+          >
+            <option value="" disabled>Select year</option>
+            {options.years.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <FieldError message={errors.academicYear} />
+      </div>
+
+      <div className="input-group">
+        <label className="input-label">School</label>
+        <div className="input-wrapper">
+          <School className="input-icon" size={18} />
+          <select
+            className="auth-input"
+            value={formData.school}
+            onChange={(e) => setFormData({ ...formData, school: e.target.value, department: '' })}
+            required
+          >
+            <option value="" disabled>Select school</option>
+            {options.schools.map(({ name }) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <FieldError message={errors.school} />
+      </div>
+
+      <div className="input-group">
+        <label className="input-label">Department</label>
+        <div className="input-wrapper">
+          <BookOpen className="input-icon" size={18} />
+          <select
+            className="auth-input"
+            value={formData.department}
+            onChange={(e) => setFormData({ ...formData, department: e.target.value })}
+            disabled={!formData.school}
+            required
+          >
+            <option value="" disabled>{formData.school ? 'Select department' : 'Pick a school first'}</option>
+            {departments.map(({ name }) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <FieldError message={errors.department} />
+      </div>
+
+      <div className="input-group">
+        <label className="input-label">Course</label>
+        <div className="input-wrapper">
+          <GraduationCap className="input-icon" size={18} />
+          <input
+            type="text"
+            className="auth-input"
+            placeholder="e.g. B.Tech, MBA"
+            maxLength={PROFILE_LIMITS.course}
+            value={formData.course}
+            onChange={(e) => setFormData({ ...formData, course: e.target.value })}
+            required
+          />
+        </div>
+        <FieldError message={errors.course} />
+      </div>
+
+      <div className="input-group">
+        <label className="input-label">Branch</label>
+        <div className="input-wrapper">
+          <Hash className="input-icon" size={18} />
+          <input
+            type="text"
+            className="auth-input"
+            placeholder="e.g. CSE, Finance"
+            maxLength={PROFILE_LIMITS.branch}
+            value={formData.branch}
+            onChange={(e) => setFormData({ ...formData, branch: e.target.value })}
+            required
+          />
+        </div>
+        <FieldError message={errors.branch} />
+      </div>
+
+      <div className="input-group full-width-col">
+        <label className="input-label">Short Bio (optional)</label>
+        <textarea
+          className="auth-input bio-input"
+          placeholder="Coffee over chai? Night owl? Give people a conversation starter."
+          maxLength={PROFILE_LIMITS.bio}
+          value={formData.bio}
+          onChange={(e) => setFormData({ ...formData, bio: e.target.value })}
+        />
+        <span className={`char-counter ${formData.bio.length >= PROFILE_LIMITS.bio ? 'at-limit' : ''}`}>
+          {formData.bio.length}/{PROFILE_LIMITS.bio}
+        </span>
+        <FieldError message={errors.bio} />
+      </div>
+    </>
+  );
+};
+
+// Country-code picker plus national number; shared by onboarding and the profile editor
+const WhatsAppField = ({ formData, setFormData, error }) => {
+  const country = findCountry(formData.whatsappCountry);
+
+  return (
+    <div className="input-group full-width-col">
+      <label className="input-label">WhatsApp Number</label>
+      <div className="phone-row">
+        <select
+          className="auth-input country-select"
+          value={formData.whatsappCountry}
+          onChange={(e) => setFormData({ ...formData, whatsappCountry: e.target.value })}
+          aria-label="Country code"
+        >
+          {COUNTRY_CODES.map(({ iso, name, dial }) => (
+            <option key={iso} value={iso}>{name} (+{dial})</option>
+          ))}
+        </select>
+        <div className="input-wrapper">
+          <Phone className="input-icon" size={18} />
+          <input
+            type="tel"
+            className="auth-input"
+            placeholder={`${country.lengths.join(' or ')}-digit number`}
+            autoComplete="tel-national"
+            value={formData.whatsapp}
+            onChange={(e) => setFormData({ ...formData, whatsapp: e.target.value })}
+            required
+          />
+        </div>
+      </div>
+      <FieldError message={error} />
+    </div>
+  );
+};
+
+// profile is set for accounts created before date of birth was collected;
+// their answers are filled in and only the date is missing.
+const OnboardingView = ({ session, profile, onComplete }) => {
+  const [formData, setFormData] = useState(() => (profile ? {
+    ...toProfileForm(profile),
+    dateOfBirth: '',
+  } : {
     name: '',
-    age: '',
-    branch: '',
-    school: '',
-    department: '',
+    dateOfBirth: '',
+    ...toAcademicForm(null),
+    whatsappCountry: DEFAULT_COUNTRY,
     whatsapp: ''
-  });
+  }));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const academicOptions = useAcademicOptions(session.user.email);
+
+  // Errors stay hidden until the first submit, then update live as fields are fixed
+  const fieldErrors = submitted ? validateProfileForm(formData, Object.keys(formData)) : {};
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
+    setSubmitted(true);
     setError('');
 
-    // WhatsApp validation (simple check for 10 digits)
-    const cleanWhatsApp = formData.whatsapp.replace(/\D/g, '');
-    if (cleanWhatsApp.length !== 10) {
-      setError('Please enter a valid 10-digit WhatsApp number.');
-      setLoading(false);
+    if (Object.keys(validateProfileForm(formData, Object.keys(formData))).length > 0) {
+      setError('Please fix the highlighted fields.');
       return;
     }
 
+    setLoading(true);
+
     try {
+      // First, so an under-18 date stops onboarding before a profile exists
+      const { error: birthError } = await saveDateOfBirth(session.user.id, formData.dateOfBirth);
+      if (birthError) throw birthError;
+
       const { error: upsertError } = await supabase
         .from('profiles')
         .upsert({
           id: session.user.id,
-          name: formData.name,
-          age: parseInt(formData.age),
-          branch: formData.branch,
-          school: formData.school,
-          department: formData.department,
-          whatsapp: '+91' + cleanWhatsApp,
+          name: formData.name.trim(),
+          ...toAcademicColumns(formData),
           updated_at: new Date()
         });
 
       if (upsertError) throw upsertError;
+
+      const { error: contactError } = await saveWhatsApp(
+        session.user.id,
+        normalizeWhatsApp(formData.whatsappCountry, formData.whatsapp)
+      );
+      if (contactError) throw contactError;
       onComplete();
     } catch (err) {
       setError(err.message);
@@ -541,7 +1048,11 @@ const OnboardingView = ({ session, onComplete }) => {
           <span className="logo-text">Setup Profile</span>
         </div>
 
-        <p className="auth-subtitle">Almost there! Tell us a bit about yourself.</p>
+        <p className="auth-subtitle">
+          {profile
+            ? 'We now need your date of birth to confirm you are 18 or older. Check the rest while you are here.'
+            : 'Almost there! Tell us a bit about yourself.'}
+        </p>
 
         <form onSubmit={handleSubmit} className="onboarding-form">
           <div className="form-grid">
@@ -553,87 +1064,35 @@ const OnboardingView = ({ session, onComplete }) => {
                   type="text"
                   className="auth-input"
                   placeholder="Your Name"
+                  maxLength={PROFILE_LIMITS.name}
                   value={formData.name}
                   onChange={(e) => setFormData({ ...formData, name: e.target.value })}
                   required
                 />
               </div>
+              <FieldError message={fieldErrors.name} />
             </div>
 
             <div className="input-group">
-              <label className="input-label">Age</label>
+              <label className="input-label">Date of Birth</label>
               <div className="input-wrapper">
                 <Calendar className="input-icon" size={18} />
                 <input
-                  type="number"
-                  className="auth-input"
-                  placeholder="eg. 19"
-                  value={formData.age}
-                  onChange={(e) => setFormData({ ...formData, age: e.target.value })}
-                  required
-                />
-              </div>
-            </div>
-
-            <div className="input-group">
-              <label className="input-label">School</label>
-              <div className="input-wrapper">
-                <School className="input-icon" size={18} />
-                <input
-                  type="text"
-                  className="auth-input"
-                  placeholder="e.g. SOE, SOB"
-                  value={formData.school}
-                  onChange={(e) => setFormData({ ...formData, school: e.target.value })}
-                  required
-                />
-              </div>
-            </div>
-
-            <div className="input-group">
-              <label className="input-label">Department</label>
-              <div className="input-wrapper">
-                <BookOpen className="input-icon" size={18} />
-                <input
-                  type="text"
+                  type="date"
                   className="auth-input"
-                  placeholder="e.g. ICT, Management"
-                  value={formData.department}
-                  onChange={(e) => setFormData({ ...formData, department: e.target.value })}
+                  min="1900-01-02"
+                  max={getLatestAdultBirthDate()}
+                  value={formData.dateOfBirth}
+                  onChange={(e) => setFormData({ ...formData, dateOfBirth: e.target.value })}
                   required
                 />
               </div>
+              <FieldError message={fieldErrors.dateOfBirth} />
             </div>
 
-            <div className="input-group full-width-col">
-              <label className="input-label">Branch</label>
-              <div className="input-wrapper">
-                <Hash className="input-icon" size={18} />
-                <input
-                  type="text"
-                  className="auth-input"
-                  placeholder="e.g. B.Tech CS, MBA"
-                  value={formData.branch}
-                  onChange={(e) => setFormData({ ...formData, branch: e.target.value })}
-                  required
-                />
-              </div>
-            </div>
+            <AcademicFields formData={formData} setFormData={setFormData} options={academicOptions} errors={fieldErrors} />
 
-            <div className="input-group full-width-col">
-              <label className="input-label">WhatsApp Number (+91)</label>
-              <div className="input-wrapper">
-                <Phone className="input-icon" size={18} />
-                <input
-                  type="tel"
-                  className="auth-input"
-                  placeholder="10-digit number"
-                  value={formData.whatsapp}
-                  onChange={(e) => setFormData({ ...formData, whatsapp: e.target.value })}
-                  required
-                />
-              </div>
-            </div>
+            <WhatsAppField formData={formData} setFormData={setFormData} error={fieldErrors.whatsapp} />
           </div>
 
           {error && <div className="error-msg"><AlertCircle size={14} /> {error}</div>}
@@ -677,58 +1136,351 @@ const OnboardingView = ({ session, onComplete }) => {
   );
 };
 
-const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
+const SCHOOL_SCOPES = [
+  { value: 'any', label: 'Any school' },
+  { value: 'same', label: 'My school' },
+  { value: 'other', label: 'Other schools' },
+];
+
+const DEFAULT_MATCH_PREFERENCES = {
+  interestedIn: [],
+  minYear: '',
+  maxYear: '',
+  schoolScope: 'any',
+  excludeOwnDepartment: false,
+};
+
+const toPreferencesForm = (row) => (row ? {
+  interestedIn: row.interested_in,
+  minYear: row.min_year ? String(row.min_year) : '',
+  maxYear: row.max_year ? String(row.max_year) : '',
+  schoolScope: row.school_scope,
+  excludeOwnDepartment: row.exclude_own_department,
+} : DEFAULT_MATCH_PREFERENCES);
+
+// Who the radar may pair us with. Matching applies both people's filters, so
+// narrowing these also means fewer people can be matched with you.
+const MatchPreferencesPanel = ({ userId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [formData, setFormData] = useState(DEFAULT_MATCH_PREFERENCES);
+  const [years, setYears] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState({ error: '', saved: false });
+
+  useEffect(() => {
+    Promise.all([
+      supabase
+        .from('match_preferences')
+        .select('interested_in, min_year, max_year, school_scope, exclude_own_department')
+        .eq('user_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('academic_years')
+        .select('value, label')
+        .order('value'),
+    ]).then(([prefsRes, yearsRes]) => {
+      if (prefsRes.error) console.error("Error fetching match preferences:", prefsRes.error);
+      if (yearsRes.error) console.error("Error fetching academic years:", yearsRes.error);
+      setFormData(toPreferencesForm(prefsRes.data));
+      setYears(yearsRes.data || []);
+    });
+  }, [userId]);
+
+  const updateForm = (changes) => {
+    setFormData({ ...formData, ...changes });
+    setStatus({ error: '', saved: false });
+  };
+
+  const toggleGender = (gender) => updateForm({
+    interestedIn: formData.interestedIn.includes(gender)
+      ? formData.interestedIn.filter((g) => g !== gender)
+      : [...formData.interestedIn, gender],
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const minYear = formData.minYear ? parseInt(formData.minYear, 10) : null;
+    const maxYear = formData.maxYear ? parseInt(formData.maxYear, 10) : null;
+
+    if (minYear && maxYear && minYear > maxYear) {
+      setStatus({ error: 'The "from" year must come before the "to" year.', saved: false });
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await supabase
+      .from('match_preferences')
+      .upsert({
+        user_id: userId,
+        interested_in: formData.interestedIn,
+        min_year: minYear,
+        max_year: maxYear,
+        school_scope: formData.schoolScope,
+        exclude_own_department: formData.excludeOwnDepartment,
+        updated_at: new Date(),
+      });
+    setSaving(false);
+
+    if (error) {
+      console.error("Error saving match preferences:", error);
+      setStatus({ error: 'Could not save your preferences. Please try again.', saved: false });
+      return;
+    }
+    setStatus({ error: '', saved: true });
+  };
+
+  return (
+    <div className="preferences-card glass-card">
+      <button className="preferences-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <Settings size={18} />
+        <span>Match Preferences</span>
+        <ArrowRight size={16} className={`preferences-chevron ${isOpen ? 'open' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <form className="preferences-form" onSubmit={handleSave}>
+          <div className="input-group">
+            <label className="input-label">Interested in</label>
+            <div className="preference-chips">
+              {GENDER_OPTIONS.map(({ value, label }) => (
+                <label key={value} className={`preference-chip ${formData.interestedIn.includes(value) ? 'selected' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={formData.interestedIn.includes(value)}
+                    onChange={() => toggleGender(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <span className="preference-hint">Leave all unticked to meet anyone.</span>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Academic year</label>
+            <div className="year-range">
+              <select
+                className="auth-input"
+                value={formData.minYear}
+                onChange={(e) => updateForm({ minYear: e.target.value })}
+              >
+                <option value="">From any</option>
+                {years.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <select
+                className="auth-input"
+                value={formData.maxYear}
+                onChange={(e) => updateForm({ maxYear: e.target.value })}
+              >
+                <option value="">To any</option>
+                {years.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">School</label>
+            <div className="preference-chips">
+              {SCHOOL_SCOPES.map(({ value, label }) => (
+                <label key={value} className={`preference-chip ${formData.schoolScope === value ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name="school-scope"
+                    checked={formData.schoolScope === value}
+                    onChange={() => updateForm({ schoolScope: value })}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="preference-toggle">
+            <input
+              type="checkbox"
+              checked={formData.excludeOwnDepartment}
+              onChange={(e) => updateForm({ excludeOwnDepartment: e.target.checked })}
+            />
+            Don't match me with people from my department
+          </label>
+
+          {status.error && <div className="error-msg"><AlertCircle size={14} /> {status.error}</div>}
+          <button type="submit" className="btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : status.saved ? <><Check size={16} /> Saved</> : 'Save Preferences'}
+          </button>
+        </form>
+      )}
+
+      <style jsx>{`
+        .preferences-card { padding: 1.2rem 2rem; }
+        .preferences-toggle { width: 100%; display: flex; align-items: center; gap: 0.6rem; background: none; border: none; cursor: pointer; font-size: 1rem; font-weight: 700; color: var(--text-heading); }
+        .preferences-toggle span { flex-grow: 1; text-align: left; }
+        .preferences-chevron { transition: transform 0.3s; color: var(--accent-pink); }
+        .preferences-chevron.open { transform: rotate(90deg); }
+        .preferences-form { margin-top: 1.5rem; }
+        .preferences-form .input-group { margin-bottom: 1.2rem; }
+        .preference-chips { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+        .preference-chip { display: flex; align-items: center; gap: 0.4rem; padding: 0.5rem 0.9rem; border: 1px solid rgba(255,100,162,0.2); border-radius: 12px; cursor: pointer; font-size: 0.9rem; }
+        .preference-chip.selected { border-color: var(--accent-pink); background: var(--accent-soft); }
+        .preference-chip input, .preference-toggle input { accent-color: var(--accent-pink); }
+        .preference-hint { display: block; font-size: 0.75rem; opacity: 0.6; margin-top: 0.4rem; }
+        .year-range { display: grid; grid-template-columns: 1fr 1fr; gap: 0.8rem; }
+        .year-range .auth-input { padding-left: 1.1rem; }
+        .preference-toggle { display: flex; align-items: center; gap: 0.5rem; font-size: 0.9rem; margin-bottom: 1.2rem; }
+      `}</style>
+    </div>
+  );
+};
+
+const PRESENCE_HEARTBEAT_MS = 30 * 1000; // the server sweeps after 90s of silence
+const QUEUE_STATUS_POLL_MS = 10 * 1000;
+const SEARCH_EXPIRED_NOTICE = "Nobody's around right now. Try again at peak hours, like weekday evenings.";
+
+// 75 -> "1:15"
+const formatDuration = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+const DashboardView = ({ profile, presence, onGoToProfile, onGoToAdmin, onSearchingChange, onChatFound, onLogout }) => {
   const [isSearching, setIsSearching] = useState(false);
-  const searchInterval = useRef();
-
-  const toggleSearch = async () => {
-    const nextState = !isSearching;
-    setIsSearching(nextState);
-
-    await supabase.from('profiles').update({ is_searching: nextState }).eq('id', profile.id);
-
-    if (nextState) {
-      // Start searching for others
-      searchInterval.current = setInterval(async () => {
-        const { data: others, error } = await supabase
-          .from('profiles')
-          .select('id, name')
-          .eq('is_searching', true)
-          .neq('id', profile.id)
-          .limit(1);
-
-        if (others && others.length > 0) {
-          const matchedUser = others[0];
-          // Create chat session (always lower ID is user1 to avoid double chats)
-          const [u1, u2] = profile.id < matchedUser.id ? [profile.id, matchedUser.id] : [matchedUser.id, profile.id];
-
-          const { data: existing } = await supabase
-            .from('chats')
-            .select('*')
-            .match({ user1_id: u1, user2_id: u2, active: true })
-            .single();
-
-          if (!existing) {
-            await supabase.from('chats').insert({
-              user1_id: u1,
-              user2_id: u2,
-              active: true,
-              stage: 0
-            });
-            // Stop searching
-            clearInterval(searchInterval.current);
-            await supabase.from('profiles').update({ is_searching: false }).eq('id', profile.id);
-          }
-        }
-      }, 3000);
-    } else {
-      clearInterval(searchInterval.current);
+  const [searchError, setSearchError] = useState('');
+  const [searchNotice, setSearchNotice] = useState('');
+  const [isQueued, setIsQueued] = useState(false); // joined and waiting, not matched on the spot
+  const [queueStatus, setQueueStatus] = useState(null); // { joined_at, others_waiting, timeout_seconds }
+  const [now, setNow] = useState(() => Date.now());
+  const isSearchingRef = useRef(false);
+  const avatarUrl = useAvatarUrl(profile.avatar_path, 128);
+
+  const stopSearch = useCallback(async (notice = '') => {
+    setIsSearching(false);
+    setIsQueued(false);
+    setQueueStatus(null);
+    setSearchNotice(notice);
+    isSearchingRef.current = false;
+    onSearchingChange(false);
+
+    const { error } = await supabase.rpc('leave_match_queue');
+    if (error) console.error("Matchmaking Error:", error);
+  }, [onSearchingChange]);
+
+  // Joining either pairs us immediately or queues us. A queued match arrives
+  // through App's user-chats-* subscription; when the server hands back a
+  // chat id (a fresh pair, or a live chat we already had and no INSERT will
+  // announce) we load that row and open it ourselves.
+  const startSearch = async () => {
+    setIsSearching(true);
+    setSearchError('');
+    setSearchNotice('');
+    isSearchingRef.current = true;
+    onSearchingChange(true);
+
+    const { data: chatId, error } = await supabase.rpc('join_match_queue');
+
+    if (error) {
+      console.error("Matchmaking Error:", error);
+      setSearchError('Could not reach the radar. Please try again.');
+      setIsSearching(false);
+      isSearchingRef.current = false;
+      onSearchingChange(false);
+      return;
+    }
+    if (!chatId) {
+      setIsQueued(true);
+      return;
+    }
+
+    const { data: chat, error: chatError } = await supabase
+      .from('chats')
+      .select('*')
+      .eq('id', chatId)
+      .single();
+
+    if (chatError) {
+      console.error("Error loading chat:", chatError);
+      setSearchError('Could not open your chat. Please try again.');
+      setIsSearching(false);
+      isSearchingRef.current = false;
+      onSearchingChange(false);
+      return;
     }
+    onChatFound(chat);
   };
 
+  const toggleSearch = () => (isSearching ? stopSearch() : startSearch());
+
+  // Queue status from the server while we wait. Dropping out of the queue
+  // means we were matched or the search expired; a live chat tells the two
+  // apart, and opening it here doesn't depend on App's INSERT event arriving.
   useEffect(() => {
-    return () => clearInterval(searchInterval.current);
-  }, []);
+    if (!isQueued) return;
+
+    const poll = () => supabase.rpc('get_match_queue_status').then(({ data, error }) => {
+      if (error) {
+        console.error("Error fetching queue status:", error);
+        return;
+      }
+      if (data.queued) {
+        setQueueStatus(data);
+        return;
+      }
+
+      setIsQueued(false);
+      supabase
+        .from('chats')
+        .select('*')
+        .eq('active', true)
+        .or(`user1_id.eq.${profile.id},user2_id.eq.${profile.id}`)
+        .maybeSingle()
+        .then(({ data: chat, error: chatError }) => {
+          if (chatError) {
+            console.error("Error loading chat:", chatError);
+            setSearchError('Could not open your chat. Please try again.');
+            stopSearch();
+          } else if (chat) {
+            onChatFound(chat);
+          } else {
+            stopSearch(SEARCH_EXPIRED_NOTICE);
+          }
+        });
+    });
+    poll();
+    const interval = setInterval(poll, QUEUE_STATUS_POLL_MS);
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      clearInterval(interval);
+      clearInterval(ticker);
+    };
+  }, [isQueued, profile.id, onChatFound, stopSearch]);
+
+  // Give up once the configured search timeout has passed
+  useEffect(() => {
+    if (!isQueued || !queueStatus) return;
+
+    const deadline = new Date(queueStatus.joined_at).getTime() + queueStatus.timeout_seconds * 1000;
+    const timer = setTimeout(() => stopSearch(SEARCH_EXPIRED_NOTICE), Math.max(deadline - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [isQueued, queueStatus, stopSearch]);
+
+  const waitedSeconds = queueStatus
+    ? Math.max(Math.floor((now - new Date(queueStatus.joined_at).getTime()) / 1000), 0)
+    : 0;
+
+  useEffect(() => {
+    // Leaving the dashboard (or being matched) takes us out of the queue
+    return () => {
+      if (isSearchingRef.current) {
+        supabase.rpc('leave_match_queue').then();
+        onSearchingChange(false);
+      }
+    };
+  }, [onSearchingChange]);
 
   return (
     <div className="dashboard-container">
@@ -739,9 +1491,14 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
             <span className="logo-text">CathodeAnode</span>
           </div>
           <div className="user-menu">
+            {onGoToAdmin && (
+              <button className="icon-btn" title="Moderation" onClick={onGoToAdmin}>
+                <ShieldCheck size={24} />
+              </button>
+            )}
             <button className="icon-btn" onClick={onGoToProfile}>
-              {profile.avatar_url ? (
-                <img src={profile.avatar_url} alt="profile" className="nav-avatar" />
+              {avatarUrl ? (
+                <img src={avatarUrl} alt="profile" className="nav-avatar" />
               ) : <UserCircle size={28} />}
             </button>
             <button className="icon-btn logout" onClick={onLogout}><LogOut size={22} /></button>
@@ -757,7 +1514,7 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
         >
           <div className="profile-summary">
             <div className="sum-avatar">
-              {profile.avatar_url ? <img src={profile.avatar_url} alt="avatar" /> : <User size={40} />}
+              {avatarUrl ? <img src={avatarUrl} alt="avatar" /> : <User size={40} />}
             </div>
             <div className="sum-info">
               <h2>Hey, {profile.name}! ✨</h2>
@@ -766,6 +1523,16 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
           </div>
         </motion.div>
 
+        {profile.last_warned_at && (
+          <div className="warning-banner glass-card">
+            <AlertCircle size={18} />
+            <span>
+              A moderator warned your account on {new Date(profile.last_warned_at).toLocaleDateString()}.
+              Please keep it respectful — repeated reports lead to a suspension.
+            </span>
+          </div>
+        )}
+
         <div className="matching-hub">
           <motion.div
             className="match-radar glass-card"
@@ -778,6 +1545,13 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
               <h3>Campus Radar</h3>
             </div>
 
+            <div className="presence-counter">
+              <span className="presence-dot"></span>
+              {presence.online} {presence.online === 1 ? 'student' : 'students'} online
+              {' / '}
+              {presence.searching} searching
+            </div>
+
             <p className="radar-desc">
               {isSearching
                 ? "Searching for someone amazing from your uni..."
@@ -796,8 +1570,20 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
             >
               {isSearching ? <><Search size={20} className="spin" /> Stop Search</> : "Start Matching"}
             </button>
+            {isSearching && queueStatus && (
+              <div className="queue-status">
+                <span><Clock size={14} /> Waiting {formatDuration(waitedSeconds)}</span>
+                <span>
+                  <Users size={14} /> {queueStatus.others_waiting} other{queueStatus.others_waiting === 1 ? '' : 's'} searching
+                </span>
+              </div>
+            )}
+            {searchNotice && <p className="search-notice">{searchNotice}</p>}
+            {searchError && <div className="error-msg"><AlertCircle size={14} /> {searchError}</div>}
           </motion.div>
         </div>
+
+        <MatchPreferencesPanel userId={profile.id} />
       </main>
 
       <div className="pink-gradient-bg">
@@ -815,6 +1601,7 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
         .logout:hover { color: #E94057; }
         .main-dash { display: grid; gap: 2rem; max-width: 800px; }
         .welcome-card { padding: 1.5rem 2rem; }
+        .warning-banner { display: flex; align-items: center; gap: 0.8rem; padding: 1rem 1.5rem; color: #E94057; font-size: 0.9rem; }
         .profile-summary { display: flex; align-items: center; gap: 1.5rem; }
         .sum-avatar { width: 80px; height: 80px; background: var(--accent-soft); border-radius: 50%; display: flex; align-items: center; justify-content: center; overflow: hidden; }
         .sum-avatar img { width: 100%; height: 100%; object-fit: cover; }
@@ -823,6 +1610,8 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
         .matching-hub { display: flex; justify-content: center; margin-top: 1rem; }
         .match-radar { width: 100%; padding: 3rem; text-align: center; display: flex; flex-direction: column; align-items: center; }
         .radar-header { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem; }
+        .presence-counter { display: flex; align-items: center; gap: 0.5rem; font-size: 0.85rem; font-weight: 600; color: var(--text-main); opacity: 0.8; margin-bottom: 1rem; }
+        .presence-dot { width: 8px; height: 8px; border-radius: 50%; background: #2ECC71; box-shadow: 0 0 0 3px rgba(46, 204, 113, 0.2); }
         .radar-desc { opacity: 0.7; max-width: 300px; margin-bottom: 2rem; font-size: 0.95rem; }
         .radar-visual { width: 200px; height: 200px; position: relative; display: flex; align-items: center; justify-content: center; margin-bottom: 3rem; }
         .pulse-1, .pulse-2 { position: absolute; width: 100%; height: 100%; border: 2px solid var(--accent-pink); border-radius: 50%; opacity: 0; }
@@ -830,6 +1619,9 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
         .radar-visual.active .pulse-2 { animation: pulse 3s infinite 1.5s; }
         @keyframes pulse { 0% { transform: scale(0.5); opacity: 0.5; } 100% { transform: scale(1.5); opacity: 0; } }
         .radar-btn.searching { background: var(--text-main); }
+        .queue-status { display: flex; gap: 1.5rem; margin-top: 1.2rem; font-size: 0.85rem; opacity: 0.8; }
+        .queue-status span { display: flex; align-items: center; gap: 0.4rem; }
+        .search-notice { margin-top: 1.2rem; max-width: 320px; font-size: 0.9rem; opacity: 0.8; }
         .spin { animation: spin 2s linear infinite; }
         @keyframes spin { 100% { transform: rotate(360deg); } }
       `}</style>
@@ -837,38 +1629,229 @@ const DashboardView = ({ profile, onGoToProfile, onLogout }) => {
   );
 };
 
-const ProfileView = ({ profile, onBack, onUpdate }) => {
-  const [loading, setLoading] = useState(false);
-  const fileInputRef = useRef();
+const AVATAR_BUCKET = 'avatars';
+// Also set on the avatars bucket itself (see supabase_schema.sql)
+const AVATAR_MAX_BYTES = 8 * 1024 * 1024;
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const AVATAR_SIZES = [512, 128]; // profile page, then nav / chat header
 
-  const handlePhotoUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+// Deterministic per-user paths, so a new upload overwrites the previous avatar
+const getAvatarPath = (userId, size) => `${userId}/avatar-${size}.webp`;
 
-    setLoading(true);
-    try {
-      const fileExt = file.name.split('.').pop();
-      const fileName = `${profile.id}-${Math.random()}.${fileExt}`;
-      const filePath = `${fileName}`;
+// Same avatar at another size; the stored path always points at the largest one
+const avatarAtSize = (path, size) => path?.replace(/avatar-\d+\.webp/, `avatar-${size}.webp`);
 
-      const { error: uploadError } = await supabase.storage
-        .from('avatars')
-        .upload(filePath, file);
+const AVATAR_URL_TTL = 60 * 60; // seconds a signed avatar URL stays valid
 
-      if (uploadError) throw uploadError;
+// Signed URL for a private avatar. Storage refuses to sign unless the viewer
+// may see it (see can_view_avatar), so pass enabled: false to skip asking.
+// Bump version after an upload: the path is reused, so the URL must be re-signed.
+const useAvatarUrl = (path, size, { enabled = true, version = 0 } = {}) => {
+  const [signed, setSigned] = useState({ key: null, url: null });
+  const objectPath = enabled && path ? avatarAtSize(path, size) : null;
+  const key = objectPath && `${objectPath}#${version}`;
 
-      const { data: { publicUrl } } = supabase.storage
-        .from('avatars')
-        .getPublicUrl(filePath);
+  useEffect(() => {
+    if (!key) return;
+
+    supabase.storage
+      .from(AVATAR_BUCKET)
+      .createSignedUrl(objectPath, AVATAR_URL_TTL)
+      .then(({ data, error }) => {
+        if (error) console.error("Error signing avatar URL:", error);
+        setSigned({ key, url: data?.signedUrl || null });
+      });
+  }, [key, objectPath]);
 
-      await supabase
-        .from('profiles')
-        .update({ avatar_url: publicUrl })
-        .eq('id', profile.id);
+  return signed.key === key ? signed.url : null;
+};
 
-      onUpdate();
+const getInitials = (name) => (name || '?')
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map((part) => part[0].toUpperCase())
+  .join('');
+
+// Checks done before the image is even decoded; returns an error message or ''
+const validateAvatarFile = (file) => {
+  if (!AVATAR_TYPES.includes(file.type)) return 'Please choose a JPG, PNG or WebP image.';
+  if (file.size > AVATAR_MAX_BYTES) return `Photos must be under ${AVATAR_MAX_BYTES / 1024 / 1024} MB.`;
+  return '';
+};
+
+// Draws the square crop (in source pixels) at the given size. Re-encoding
+// through a canvas drops every EXIF field, GPS location included.
+const renderAvatar = (bitmap, crop, size) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Could not process this image.'))),
+    'image/webp',
+    0.9
+  );
+});
+
+const toProfileForm = (profile) => ({
+  name: profile?.name || '',
+  whatsappCountry: splitWhatsApp(profile?.whatsapp).country,
+  whatsapp: splitWhatsApp(profile?.whatsapp).national,
+  ...toAcademicForm(profile),
+});
+
+const ProfileView = ({ profile, userEmail, onBack, onUpdate }) => {
+  const [loading, setLoading] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [initialForm, setInitialForm] = useState(() => toProfileForm(profile));
+  const [formData, setFormData] = useState(initialForm);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [showAllErrors, setShowAllErrors] = useState(false);
+  const [cropSource, setCropSource] = useState(null); // { bitmap, url } while cropping
+  const [photoError, setPhotoError] = useState('');
+  const [photoVersion, setPhotoVersion] = useState(0);
+  const fileInputRef = useRef();
+  const avatarUrl = useAvatarUrl(profile.avatar_path, AVATAR_SIZES[0], { version: photoVersion });
+  const academicOptions = useAcademicOptions(userEmail);
+
+  const changedFields = Object.keys(formData).filter((field) => formData[field] !== initialForm[field]);
+  const isDirty = isEditing && changedFields.length > 0;
+
+  // Only fields the user has touched show errors, until they try to save
+  const allErrors = validateProfileForm(formData, Object.keys(formData));
+  const fieldErrors = showAllErrors
+    ? allErrors
+    : Object.fromEntries(Object.entries(allErrors).filter(([field]) => changedFields.includes(field)));
+
+  // Browser-level guard for reloads and tab closes while edits are pending
+  useEffect(() => {
+    if (!isDirty) return;
+    const warn = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [isDirty]);
+
+  const confirmDiscard = () => !isDirty || window.confirm('You have unsaved changes. Discard them?');
+
+  const startEditing = () => {
+    const form = toProfileForm(profile);
+    setInitialForm(form);
+    setFormData(form);
+    setSaveError('');
+    setShowAllErrors(false);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    if (!confirmDiscard()) return;
+    setIsEditing(false);
+  };
+
+  const handleBack = () => {
+    if (!confirmDiscard()) return;
+    onBack();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setShowAllErrors(true);
+    setSaveError('');
+
+    if (Object.keys(allErrors).length > 0) {
+      setSaveError('Please fix the highlighted fields.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update({
+          name: formData.name.trim(),
+          ...toAcademicColumns(formData),
+          updated_at: new Date()
+        })
+        .eq('id', profile.id);
+
+      if (updateError) throw updateError;
+
+      const { error: contactError } = await saveWhatsApp(
+        profile.id,
+        normalizeWhatsApp(formData.whatsappCountry, formData.whatsapp)
+      );
+      if (contactError) throw contactError;
+      await onUpdate();
+      setIsEditing(false);
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePhotoSelect = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // let the same file be picked again after a cancel
+    if (!file) return;
+
+    setPhotoError('');
+    const fileError = validateAvatarFile(file);
+    if (fileError) {
+      setPhotoError(fileError);
+      return;
+    }
+
+    try {
+      // from-image applies the EXIF rotation before the metadata is dropped
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      setCropSource({ bitmap, url: URL.createObjectURL(file) });
+    } catch {
+      setPhotoError('That file does not look like an image we can read.');
+    }
+  };
+
+  const closeCropper = () => {
+    URL.revokeObjectURL(cropSource.url);
+    cropSource.bitmap.close();
+    setCropSource(null);
+  };
+
+  const handlePhotoUpload = async (crop) => {
+    const { bitmap } = cropSource;
+    setLoading(true);
+    setPhotoError('');
+    try {
+      for (const size of AVATAR_SIZES) {
+        const blob = await renderAvatar(bitmap, crop, size);
+        const { error: uploadError } = await supabase.storage
+          .from(AVATAR_BUCKET)
+          .upload(getAvatarPath(profile.id, size), blob, {
+            upsert: true,
+            contentType: 'image/webp',
+            cacheControl: '3600',
+          });
+
+        if (uploadError) throw uploadError;
+      }
+
+      const { error: updateError } = await supabase
+        .from('profiles')
+        .update({ avatar_path: getAvatarPath(profile.id, AVATAR_SIZES[0]), updated_at: new Date() })
+        .eq('id', profile.id);
+
+      if (updateError) throw updateError;
+      closeCropper();
+      setPhotoVersion((v) => v + 1);
+      onUpdate();
     } catch (err) {
-      alert(err.message);
+      setPhotoError(err.message);
     } finally {
       setLoading(false);
     }
@@ -876,7 +1859,7 @@ const ProfileView = ({ profile, onBack, onUpdate }) => {
 
   return (
     <div className="dashboard-container">
-      <button className="back-btn" onClick={onBack}>
+      <button className="back-btn" onClick={handleBack}>
         <ArrowRight size={18} style={{ transform: 'rotate(180deg)' }} /> Back
       </button>
 
@@ -884,7 +1867,7 @@ const ProfileView = ({ profile, onBack, onUpdate }) => {
         <div className="glass-card profile-edit-card">
           <div className="photo-section">
             <div className="large-avatar">
-              {profile.avatar_url ? <img src={profile.avatar_url} alt="profile" /> : <User size={60} />}
+              {avatarUrl ? <img src={avatarUrl} alt="profile" /> : <User size={60} />}
               {loading && <div className="upload-overlay">Processing...</div>}
             </div>
             <button className="btn-secondary" onClick={() => fileInputRef.current.click()}>
@@ -894,29 +1877,103 @@ const ProfileView = ({ profile, onBack, onUpdate }) => {
               type="file"
               ref={fileInputRef}
               hidden
-              accept="image/*"
-              onChange={handlePhotoUpload}
+              accept={AVATAR_TYPES.join(',')}
+              onChange={handlePhotoSelect}
             />
+            {photoError && <div className="error-msg"><AlertCircle size={14} /> {photoError}</div>}
           </div>
 
-          <div className="profile-details-list">
-            <div className="detail-item">
-              <span className="label">Name</span>
-              <span className="val">{profile.name}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">WhatsApp</span>
-              <span className="val">{profile.whatsapp}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">School</span>
-              <span className="val">{profile.school}</span>
-            </div>
-            <div className="detail-item">
-              <span className="label">Dept / Branch</span>
-              <span className="val">{profile.department} / {profile.branch}</span>
-            </div>
-          </div>
+          <AnimatePresence>
+            {cropSource && (
+              <AvatarCropper
+                key="cropper"
+                source={cropSource}
+                saving={loading}
+                error={photoError}
+                onCancel={closeCropper}
+                onConfirm={handlePhotoUpload}
+              />
+            )}
+          </AnimatePresence>
+
+          {isEditing ? (
+            <form onSubmit={handleSave} className="onboarding-form profile-form" noValidate>
+              <div className="form-grid">
+                <div className="input-group">
+                  <label className="input-label">Full Name</label>
+                  <div className="input-wrapper">
+                    <User className="input-icon" size={18} />
+                    <input
+                      type="text"
+                      className="auth-input"
+                      maxLength={PROFILE_LIMITS.name}
+                      value={formData.name}
+                      onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    />
+                  </div>
+                  <FieldError message={fieldErrors.name} />
+                </div>
+
+                <WhatsAppField formData={formData} setFormData={setFormData} error={fieldErrors.whatsapp} />
+
+                <AcademicFields formData={formData} setFormData={setFormData} options={academicOptions} errors={fieldErrors} />
+              </div>
+              {saveError && <div className="error-msg"><AlertCircle size={14} /> {saveError}</div>}
+              <div className="profile-form-actions">
+                {isDirty && <span className="unsaved-badge">Unsaved changes</span>}
+                <button type="button" className="btn-secondary" onClick={cancelEditing}>Cancel</button>
+                <button type="submit" className="btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <div className="profile-details-list">
+                <div className="detail-item">
+                  <span className="label">Name</span>
+                  <span className="val">{profile.name}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">WhatsApp</span>
+                  <span className="val">{profile.whatsapp ? formatWhatsApp(profile.whatsapp) : '—'}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Age</span>
+                  <span className="val">{getAge(profile.date_of_birth) ?? '—'}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Gender</span>
+                  <span className="val">{GENDER_OPTIONS.find((g) => g.value === profile.gender)?.label || '—'}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">University</span>
+                  <span className="val">{profile.university?.name || '—'}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">School</span>
+                  <span className="val">{profile.school}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Dept / Branch</span>
+                  <span className="val">{profile.department} / {profile.branch}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Course / Year</span>
+                  <span className="val">
+                    {profile.course || '—'} / {academicOptions.years.find((y) => y.value === profile.academic_year)?.label || '—'}
+                  </span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Bio</span>
+                  <span className="val bio-val">{profile.bio || '—'}</span>
+                </div>
+              </div>
+              <button className="btn-secondary edit-profile-btn" onClick={startEditing}>
+                <Pencil size={16} /> Edit Profile
+              </button>
+            </>
+          )}
 
           <div className="safety-note">
             <ShieldCheck size={16} />
@@ -942,170 +1999,641 @@ const ProfileView = ({ profile, onBack, onUpdate }) => {
         .label { font-weight: 700; opacity: 0.6; font-size: 0.85rem; text-transform: uppercase; }
         .val { font-weight: 600; color: var(--text-heading); }
         .safety-note { display: flex; align-items: center; justify-content: center; gap: 0.5rem; font-size: 0.8rem; opacity: 0.6; }
+        .bio-val { max-width: 60%; text-align: right; }
+        .edit-profile-btn { margin-bottom: 2rem; }
+        .profile-form { margin-bottom: 2rem; }
+        .profile-form-actions { display: flex; justify-content: flex-end; align-items: center; gap: 0.5rem; margin-top: 1.5rem; }
+        .unsaved-badge { margin-right: auto; font-size: 0.8rem; font-weight: 600; color: var(--accent-pink); }
       `}</style>
     </div>
   );
 };
 
-const ChatView = ({ profile, chat, onClose }) => {
+const CROP_VIEWPORT = 280; // px, on-screen size of the square crop window
+
+// Square crop with drag-to-pan and zoom; reports the crop in source pixels
+const AvatarCropper = ({ source, saving, error, onCancel, onConfirm }) => {
+  const { bitmap, url } = source;
+  const baseScale = CROP_VIEWPORT / Math.min(bitmap.width, bitmap.height);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState(() => ({
+    x: (CROP_VIEWPORT - bitmap.width * baseScale) / 2,
+    y: (CROP_VIEWPORT - bitmap.height * baseScale) / 2,
+  }));
+  const dragRef = useRef(null);
+
+  const scale = baseScale * zoom;
+
+  // Keeps the image covering the whole viewport
+  const clampOffset = (x, y, s) => ({
+    x: Math.min(0, Math.max(CROP_VIEWPORT - bitmap.width * s, x)),
+    y: Math.min(0, Math.max(CROP_VIEWPORT - bitmap.height * s, y)),
+  });
+
+  const handleZoom = (nextZoom) => {
+    const nextScale = baseScale * nextZoom;
+    const center = CROP_VIEWPORT / 2;
+    // Zoom around the middle of the viewport rather than the top-left corner
+    setOffset(clampOffset(
+      center - ((center - offset.x) / scale) * nextScale,
+      center - ((center - offset.y) / scale) * nextScale,
+      nextScale
+    ));
+    setZoom(nextZoom);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { startX: e.clientX, startY: e.clientY, origin: offset };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const { startX, startY, origin } = dragRef.current;
+    setOffset(clampOffset(origin.x + e.clientX - startX, origin.y + e.clientY - startY, scale));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      x: -offset.x / scale,
+      y: -offset.y / scale,
+      size: CROP_VIEWPORT / scale,
+    });
+  };
+
+  return (
+    <motion.div
+      className="modal-backdrop"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <motion.div
+        className="modal-card glass-card cropper-card"
+        initial={{ scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+      >
+        <h3><Camera size={18} /> Crop your photo</h3>
+        <div
+          className="crop-viewport"
+          style={{ width: CROP_VIEWPORT, height: CROP_VIEWPORT }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => { dragRef.current = null; }}
+        >
+          <img
+            src={url}
+            alt="crop preview"
+            draggable={false}
+            style={{
+              width: bitmap.width * scale,
+              height: bitmap.height * scale,
+              transform: `translate(${offset.x}px, ${offset.y}px)`,
+            }}
+          />
+        </div>
+        <input
+          type="range"
+          className="crop-zoom"
+          min="1"
+          max="3"
+          step="0.01"
+          value={zoom}
+          onChange={(e) => handleZoom(parseFloat(e.target.value))}
+          aria-label="Zoom"
+        />
+        <p className="crop-hint">Drag to reposition. Location data is removed before upload.</p>
+        {error && <div className="error-msg"><AlertCircle size={14} /> {error}</div>}
+        <div className="modal-actions">
+          <button type="button" className="btn-secondary" onClick={onCancel} disabled={saving}>Cancel</button>
+          <button type="button" className="btn-primary" onClick={handleConfirm} disabled={saving}>
+            {saving ? 'Uploading...' : 'Save Photo'}
+          </button>
+        </div>
+      </motion.div>
+
+      <style jsx>{`
+        .cropper-card { display: flex; flex-direction: column; align-items: center; text-align: center; }
+        .crop-viewport { position: relative; overflow: hidden; border-radius: 50%; cursor: grab; touch-action: none; background: var(--accent-soft); box-shadow: var(--glass-shadow); }
+        .crop-viewport:active { cursor: grabbing; }
+        .crop-viewport img { position: absolute; top: 0; left: 0; max-width: none; user-select: none; pointer-events: none; }
+        .crop-zoom { width: 100%; margin-top: 1.5rem; accent-color: var(--accent-pink); }
+        .crop-hint { font-size: 0.8rem; opacity: 0.6; margin-top: 0.5rem; }
+      `}</style>
+    </motion.div>
+  );
+};
+
+// Never select('*') on a partner: only what the chat UI actually shows
+const PARTNER_PROFILE_COLUMNS = 'id, name, avatar_path, gender, academic_year, course, school, department, branch, bio';
+
+const CHAT_DISCONNECT_GRACE_MS = 30 * 1000;
+
+// The only chat columns that change after a match is made
+const CHAT_STATE_FIELDS = ['stage', 'active', 'end_reason'];
+const CHAT_QUIET_MS = 45 * 1000; // matches request_chat_prompt()'s quiet period
+const TYPING_THROTTLE_MS = 2 * 1000;
+const TYPING_INDICATOR_MS = 4 * 1000; // hide the indicator if no typing event follows
+
+const CHAT_STAGES = [
+  'Match Initiated',
+  'Icebreaker',
+  'Private Interest Check',
+  'Mutual Engagement',
+  'Connection Decision',
+  'Contact Exchange & Exit',
+];
+
+// Keeps one copy of a message or prompt, whichever path delivered it first
+const withMessage = (messages, message) => (
+  messages.some((m) => m.id === message.id) ? messages : [...messages, message]
+);
+
+// A message that was seen never goes back to just delivered
+const withReceipts = (receipts, { ids, status }) => {
+  const next = { ...receipts };
+  ids.forEach((id) => {
+    if (next[id] !== 'seen') next[id] = status;
+  });
+  return next;
+};
+
+const describeStageProgress = ({ messages_needed: messages, seconds_left: seconds }) => {
+  const parts = [];
+  if (messages > 0) parts.push(`${messages} more ${messages === 1 ? 'message' : 'messages'}`);
+  if (seconds > 0) parts.push(`${Math.ceil(seconds / 60)} more ${seconds > 60 ? 'minutes' : 'minute'}`);
+  return `Not yet! Keep chatting: ${parts.join(' and ')}.`;
+};
+
+const describeChatEnd = (reason, partnerName) => {
+  switch (reason) {
+    case 'disconnected':
+      return `${partnerName} disconnected and didn't come back.`;
+    case 'timeout':
+      return 'This conversation timed out.';
+    case 'contact_exchanged':
+      return 'You swapped numbers. Have fun continuing on WhatsApp!';
+    case 'blocked':
+    case 'moderated':
+      return 'This conversation is no longer available.';
+    default:
+      return 'This conversation has concluded.';
+  }
+};
+
+const ChatView = ({ profile, chat, onChatChange, onClose }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [otherUserProfile, setOtherUserProfile] = useState(null);
+  const [castVote, setCastVote] = useState(null); // { stage, vote } - only ever our own vote
+  const [voting, setVoting] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [confirmingNumber, setConfirmingNumber] = useState(false);
+  const [partnerWhatsApp, setPartnerWhatsApp] = useState(null);
+  const [partnerPresent, setPartnerPresent] = useState(null); // null until the first presence sync
+  const [stageProgress, setStageProgress] = useState(null); // last "not ready yet" answer
+  const [partnerTyping, setPartnerTyping] = useState(false);
+  const [receipts, setReceipts] = useState({}); // our message id -> 'delivered' | 'seen'
   const messagesEndRef = useRef(null);
+  const chatChannelRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
 
+  const chatId = chat?.id;
+  const chatStage = chat?.stage;
   const otherUserId = chat?.user1_id === profile?.id ? chat?.user2_id : chat?.user1_id;
+  const myVote = castVote?.stage === chatStage ? castVote.vote : null;
+  // Photos stay hidden until both passed the Stage 2 interest check
+  const photoUnlocked = Boolean(chat?.active && chatStage >= 3);
+  const partnerAvatarUrl = useAvatarUrl(otherUserProfile?.avatar_path, 128, { enabled: photoUnlocked });
 
   useEffect(() => {
-    if (!chat || !profile) return;
+    if (!chatId || !profile) return;
 
     const fetchOtherProfile = async () => {
       const { data, error } = await supabase
         .from('profiles')
-        .select('*')
+        .select(PARTNER_PROFILE_COLUMNS)
         .eq('id', otherUserId)
         .single();
       if (data) setOtherUserProfile(data);
       if (error) console.error("Error fetching other user profile:", error);
     };
 
-    const fetchMessages = async () => {
-      const { data, error } = await supabase
-        .from('messages')
-        .select('*')
-        .eq('chat_id', chat.id)
-        .order('created_at', { ascending: true });
-      if (data) setMessages(data);
-      if (error) console.error("Error fetching messages:", error);
+    fetchOtherProfile();
+
+    // Typing and receipts are fire-and-forget broadcasts, never stored
+    let typingTimer = null;
+    let unseenIds = [];
+
+    const sendReceipt = (ids, status) => chatChannel.send({
+      type: 'broadcast',
+      event: 'receipt',
+      payload: { ids, status },
+    });
+
+    // Delivered right away; seen once this tab is actually in front of us
+    const acknowledge = (id) => {
+      if (document.visibilityState === 'visible') {
+        sendReceipt([id], 'seen');
+      } else {
+        unseenIds.push(id);
+        sendReceipt([id], 'delivered');
+      }
     };
 
-    fetchOtherProfile();
-    fetchMessages();
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible' || unseenIds.length === 0) return;
+      sendReceipt(unseenIds, 'seen');
+      unseenIds = [];
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 
-    const messageSubscription = supabase
-      .channel(`chat_${chat.id}_messages`)
-      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'messages', filter: `chat_id=eq.${chat.id}` }, payload => {
-        setMessages((prevMessages) => [...prevMessages, payload.new]);
+    // Private broadcast topic: RLS only lets the two participants join it.
+    // Messages live in component state only and vanish when the chat closes.
+    const chatChannel = supabase
+      .channel(`chat:${chatId}`, {
+        config: { private: true, broadcast: { self: false, ack: true }, presence: { key: profile.id } }
+      })
+      // self: false, so every message arriving here is the partner's, whatever it claims
+      .on('broadcast', { event: 'message' }, ({ payload }) => {
+        setMessages((prevMessages) => withMessage(prevMessages, { ...payload, sender_id: otherUserId }));
+        clearTimeout(typingTimer);
+        setPartnerTyping(false);
+        acknowledge(payload.id);
+      })
+      .on('broadcast', { event: 'typing' }, () => {
+        setPartnerTyping(true);
+        clearTimeout(typingTimer);
+        typingTimer = setTimeout(() => setPartnerTyping(false), TYPING_INDICATOR_MS);
+      })
+      .on('broadcast', { event: 'receipt' }, ({ payload }) => {
+        setReceipts((prevReceipts) => withReceipts(prevReceipts, payload));
+      })
+      // Icebreakers / reflection prompts, sent by the server to both of us at
+      // once. Only the prompt id is taken from the broadcast; the text comes
+      // from the server, and only for prompts it really sent to this chat.
+      .on('broadcast', { event: 'system_prompt' }, ({ payload }) => {
+        supabase
+          .rpc('get_chat_prompt', { p_chat_id: chatId, p_prompt_id: payload?.prompt_id })
+          .maybeSingle()
+          .then(({ data, error }) => {
+            if (error) console.error("Error fetching prompt:", error);
+            if (!data) return;
+            setMessages((prevMessages) => withMessage(prevMessages, {
+              id: `prompt-${data.id}`,
+              content: data.prompt,
+              category: data.category,
+              created_at: new Date().toISOString(),
+              system: true,
+            }));
+          });
       })
-      .subscribe();
+      // The server announced a change (vote outcome, block, timeout): re-read
+      // the row rather than trusting the payload
+      .on('broadcast', { event: 'chat_state' }, () => {
+        supabase
+          .from('chats')
+          .select(CHAT_STATE_FIELDS.join(', '))
+          .eq('id', chatId)
+          .single()
+          .then(({ data, error }) => {
+            if (error) console.error("Error refreshing chat:", error);
+            if (data) onChatChange(data);
+          });
+      })
+      // Every write to our chat row, whoever made it (partner, moderator, cron)
+      .on('postgres_changes', {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'chats',
+        filter: `id=eq.${chatId}`
+      }, ({ new: updatedChat }) => {
+        onChatChange(updatedChat);
+      })
+      .on('presence', { event: 'sync' }, () => {
+        setPartnerPresent(Boolean(chatChannel.presenceState()[otherUserId]));
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') chatChannel.track({ joined_at: new Date().toISOString() });
+      });
+    chatChannelRef.current = chatChannel;
 
     return () => {
-      supabase.removeChannel(messageSubscription);
+      clearTimeout(typingTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      chatChannelRef.current = null;
+      supabase.removeChannel(chatChannel);
     };
-  }, [chat, profile, otherUserId]);
+  }, [chatId, profile, otherUserId, onChatChange]);
+
+  // A partner who stays away past the grace period (closed tab, lost signal)
+  // ends the chat for both of us; coming back in time cancels the timer.
+  // Once numbers are exchanged there is nothing left to abandon.
+  const partnerGone = Boolean(chat?.active) && chatStage < 5 && partnerPresent === false;
+  useEffect(() => {
+    if (!chatId || !partnerGone) return;
+
+    const timer = setTimeout(() => {
+      supabase
+        .rpc('end_chat', { p_chat_id: chatId, p_reason: 'disconnected' })
+        .then(({ error }) => {
+          if (error) {
+            console.error("Error ending abandoned chat:", error);
+            return;
+          }
+          onChatChange({ active: false, end_reason: 'disconnected' });
+        });
+    }, CHAT_DISCONNECT_GRACE_MS);
+
+    return () => clearTimeout(timer);
+  }, [chatId, partnerGone, onChatChange]);
+
+  // While the chat is quiet in Stages 1 and 3, keep offering the server a
+  // chance to send a prompt; it decides whether one is due, and any new
+  // message (or prompt) restarts the wait.
+  const promptsOpen = Boolean(chat?.active) && (chatStage === 1 || chatStage === 3);
+  useEffect(() => {
+    if (!chatId || !promptsOpen) return;
+
+    const interval = setInterval(() => {
+      supabase
+        .rpc('request_chat_prompt', { p_chat_id: chatId })
+        .then(({ error }) => {
+          if (error) console.error("Error requesting prompt:", error);
+        });
+    }, CHAT_QUIET_MS);
+
+    return () => clearInterval(interval);
+  }, [chatId, promptsOpen, messages.length]);
+
+  // Restore our own vote if we re-open a chat that is waiting on the partner
+  useEffect(() => {
+    if (!chatId || (chatStage !== 2 && chatStage !== 4)) return;
+
+    supabase
+      .from('chat_votes')
+      .select('stage, vote')
+      .eq('chat_id', chatId)
+      .eq('stage', chatStage)
+      .maybeSingle()
+      .then(({ data }) => {
+        // A "Not Now" round clears stage 4 votes, so an empty result resets ours too
+        setCastVote(data);
+      });
+  }, [chatId, chatStage]);
+
+  // Both numbers are released together by the server once Stage 5 is reached,
+  // and stay readable after the chat ends
+  useEffect(() => {
+    if (!chatId || chatStage < 5) return;
+
+    supabase
+      .rpc('get_chat_contacts', { p_chat_id: chatId })
+      .then(({ data, error }) => {
+        if (error) console.error("Error fetching contacts:", error);
+        const partner = data?.find((c) => c.user_id === otherUserId);
+        if (partner) setPartnerWhatsApp(partner.whatsapp);
+      });
+  }, [chatId, chatStage, otherUserId]);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
 
+  // At most one typing event per TYPING_THROTTLE_MS while the user types
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+
+    const now = Date.now();
+    if (!e.target.value || now - lastTypingSentRef.current < TYPING_THROTTLE_MS) return;
+    lastTypingSentRef.current = now;
+    chatChannelRef.current?.send({ type: 'broadcast', event: 'typing', payload: {} });
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || !chat || !profile) return;
+    if (!newMessage.trim() || !chat || !profile || !chatChannelRef.current) return;
 
-    const { error } = await supabase.from('messages').insert({
-      chat_id: chat.id,
+    const message = {
+      id: crypto.randomUUID(),
       sender_id: profile.id,
       content: newMessage,
+      created_at: new Date().toISOString(),
+    };
+
+    const status = await chatChannelRef.current.send({
+      type: 'broadcast',
+      event: 'message',
+      payload: message,
     });
 
-    if (error) console.error("Error sending message:", error);
+    if (status !== 'ok') {
+      console.error("Error sending message:", status);
+      return;
+    }
+    setMessages((prevMessages) => withMessage(prevMessages, message));
     setNewMessage('');
+
+    // Only the fact that we sent one counts towards the stage thresholds
+    supabase
+      .rpc('record_chat_message', { p_chat_id: chat.id })
+      .then(({ error }) => {
+        if (error) console.error("Error recording message:", error);
+      });
   };
 
-  const handleStageAction = async (actionType) => {
-    if (!chat || !profile) return;
+  const handleEndChat = async (reason) => {
+    if (!chat) return;
+
+    const { error } = await supabase.rpc('end_chat', { p_chat_id: chat.id, p_reason: reason });
+    if (error) {
+      console.error("Error ending chat:", error);
+      return;
+    }
+    onChatChange({ active: false, end_reason: reason });
+  };
+
+  // Either of us may ask; the server decides whether the thresholds are met
+  const requestNextStage = async () => {
+    if (!chat) return;
+
+    const { data, error } = await supabase.rpc('advance_chat_stage', { p_chat_id: chat.id });
 
-    let newStage = chat.stage;
-    let newActiveStatus = true;
+    if (error) {
+      console.error("Error advancing chat stage:", error);
+      return;
+    }
+    if (data.status === 'advanced') {
+      onChatChange({ stage: data.stage });
+    } else {
+      setStageProgress({ ...data, stage: chat.stage });
+    }
+  };
+
+  // Blocking ends the chat on both sides and keeps the pair from ever matching again
+  const handleBlock = async () => {
+    if (!chat || !otherUserProfile) return;
+    if (!window.confirm(`Block ${otherUserProfile.name}? You will never be matched again.`)) return;
 
-    if (actionType === 'advance') {
-      newStage = chat.stage + 1;
-    } else if (actionType === 'decline') {
-      newActiveStatus = false; // End chat
+    const { error } = await supabase.rpc('block_chat_partner', { p_chat_id: chat.id });
+    if (error) {
+      console.error("Error blocking user:", error);
+      return;
     }
+    onChatChange({ active: false });
+  };
 
-    const { error } = await supabase
-      .from('chats')
-      .update({ stage: newStage, active: newActiveStatus })
-      .eq('id', chat.id);
+  const handleVote = async (vote) => {
+    if (!chat || voting) return;
 
-    if (error) console.error("Error updating chat stage:", error);
+    setVoting(true);
+    const { data, error } = await supabase.rpc('cast_consent_vote', {
+      p_chat_id: chat.id,
+      p_vote: vote,
+    });
+    setVoting(false);
+
+    if (error) {
+      console.error("Error casting vote:", error);
+      return;
+    }
+
+    setCastVote({ stage: chat.stage, vote });
+    setConfirmingNumber(false);
+    if (data.status !== 'waiting') {
+      onChatChange({ stage: data.stage, active: data.active });
+    }
   };
 
   const renderStageContent = () => {
     if (!chat || !otherUserProfile) return null;
 
-    const isMyTurnToAdvance = (chat.stage % 2 === 0 && chat.user1_id === profile.id) || (chat.stage % 2 !== 0 && chat.user2_id === profile.id);
-    const isOtherTurnToAdvance = (chat.stage % 2 === 0 && chat.user2_id === profile.id) || (chat.stage % 2 !== 0 && chat.user1_id === profile.id);
-
-    switch (chat.stage) {
-      case 0: // Initial connection
+    const progressHint = stageProgress?.stage === chat.stage ? describeStageProgress(stageProgress) : null;
+    const endChatButton = (
+      <button className="btn-secondary" onClick={() => handleEndChat('declined')}>
+        <X size={16} /> End Chat
+      </button>
+    );
+    const partnerContact = partnerWhatsApp && (
+      <>
+        <p className="contact-info">
+          <Phone size={18} /> {formatWhatsApp(partnerWhatsApp)}
+        </p>
+        <a href={`https://wa.me/${partnerWhatsApp.replace(/\D/g, '')}`} target="_blank" rel="noopener noreferrer" className="btn-primary large">
+          Connect on WhatsApp <ArrowRight size={20} />
+        </a>
+      </>
+    );
+
+    switch (chat.active ? chat.stage : null) {
+      case 0: // Match Initiated
         return (
           <div className="chat-stage-info">
             <MessageCircle size={48} color="var(--accent-pink)" />
-            <h3>You've connected with {otherUserProfile.name}!</h3>
-            <p>Say hi and see if there's a spark. Your messages are ephemeral.</p>
-            {isMyTurnToAdvance ? (
-              <button className="btn-primary large" onClick={() => handleStageAction('advance')}>
-                Say Hi! <ArrowRight size={20} />
-              </button>
-            ) : (
-              <p className="waiting-text">Waiting for {otherUserProfile.name} to initiate the chat...</p>
-            )}
-            <button className="btn-secondary" onClick={() => handleStageAction('decline')}>
-              <X size={16} /> End Chat
+            <h3>Stage 0: You've matched with {otherUserProfile.name}!</h3>
+            <p>Live chat is on and nothing personal is shared. Say hi: the icebreaker starts once you've both spoken.</p>
+            <button className="btn-primary large" onClick={requestNextStage}>
+              Start the Icebreaker <ArrowRight size={20} />
             </button>
+            {progressHint && <p className="waiting-text">{progressHint}</p>}
+            {endChatButton}
           </div>
         );
-      case 1: // Chatting stage
+      case 1: // Icebreaker
         return (
           <div className="chat-stage-info">
             <Heart size={48} color="var(--accent-pink)" />
-            <h3>Stage 1: Get to know each other!</h3>
-            <p>Chat freely. If you feel a connection, you can reveal your interests.</p>
-            {isMyTurnToAdvance ? (
-              <button className="btn-primary large" onClick={() => handleStageAction('advance')}>
-                Reveal Interests <ArrowRight size={20} />
-              </button>
+            <h3>Stage 1: Icebreaker</h3>
+            <p>Keep it casual and get to know each other. When it feels right, either of you can move on to a private check-in.</p>
+            <button className="btn-primary large" onClick={requestNextStage}>
+              Continue to Check-in <ArrowRight size={20} />
+            </button>
+            {progressHint && <p className="waiting-text">{progressHint}</p>}
+            {endChatButton}
+          </div>
+        );
+      case 2: // Private Interest Check
+        return (
+          <div className="chat-stage-info">
+            <Sparkles size={48} color="var(--accent-pink)" />
+            <h3>Stage 2: Private Interest Check</h3>
+            <p>Are you enjoying this conversation? Your answer is never shown to {otherUserProfile.name}.</p>
+            {myVote ? (
+              <p className="waiting-text">Your answer is locked in. Waiting for the outcome...</p>
             ) : (
-              <p className="waiting-text">Waiting for {otherUserProfile.name} to reveal interests...</p>
+              <div className="vote-options">
+                <button className="btn-primary" disabled={voting} onClick={() => handleVote('yes')}>
+                  <Check size={16} /> Yes
+                </button>
+                <button className="btn-secondary" disabled={voting} onClick={() => handleVote('no')}>
+                  <X size={16} /> No
+                </button>
+              </div>
             )}
-            <button className="btn-secondary" onClick={() => handleStageAction('decline')}>
-              <X size={16} /> End Chat
+          </div>
+        );
+      case 3: // Mutual Engagement
+        return (
+          <div className="chat-stage-info">
+            <Heart size={48} color="var(--accent-pink)" />
+            <h3>Stage 3: Mutual Engagement</h3>
+            <p>You're both enjoying this, and photos are now visible. Go deeper; when you're ready, you'll each privately decide whether to connect.</p>
+            <button className="btn-primary large" onClick={requestNextStage}>
+              Ready to Decide <ArrowRight size={20} />
             </button>
+            {progressHint && <p className="waiting-text">{progressHint}</p>}
+            {endChatButton}
           </div>
         );
-      case 2: // Interests revealed
+      case 4: // Connection Decision
         return (
           <div className="chat-stage-info">
             <Sparkles size={48} color="var(--accent-pink)" />
-            <h3>Stage 2: Interests Revealed!</h3>
-            <p>You both have shown interest! Now you can choose to reveal your contact details.</p>
-            {isMyTurnToAdvance ? (
-              <button className="btn-primary large" onClick={() => handleStageAction('advance')}>
-                Reveal Contact <ArrowRight size={20} />
-              </button>
+            <h3>Stage 4: Connection Decision</h3>
+            <p>Do you want to connect outside this platform? Only a Yes from both of you shares numbers.</p>
+            {myVote ? (
+              <p className="waiting-text">Your answer is locked in. Waiting for the outcome...</p>
+            ) : confirmingNumber ? (
+              // Last look at the number before it can ever be shared
+              <div className="confirm-number">
+                <p>If {otherUserProfile.name} also says yes, they'll get:</p>
+                <p className="contact-info"><Phone size={18} /> {formatWhatsApp(profile.whatsapp)}</p>
+                <div className="vote-options">
+                  <button className="btn-primary" disabled={voting} onClick={() => handleVote('yes')}>
+                    <Check size={16} /> That's right
+                  </button>
+                  <button className="btn-secondary" disabled={voting} onClick={() => setConfirmingNumber(false)}>
+                    Go back
+                  </button>
+                </div>
+                <p className="waiting-text">Wrong number? Update it from your profile before saying yes.</p>
+              </div>
             ) : (
-              <p className="waiting-text">Waiting for {otherUserProfile.name} to reveal contact...</p>
+              <div className="vote-options">
+                <button className="btn-primary" disabled={voting} onClick={() => setConfirmingNumber(true)}>
+                  <Check size={16} /> Yes
+                </button>
+                <button className="btn-secondary" disabled={voting} onClick={() => handleVote('not_now')}>
+                  Not Now
+                </button>
+                <button className="btn-secondary" disabled={voting} onClick={() => handleVote('no')}>
+                  <X size={16} /> No
+                </button>
+              </div>
             )}
-            <button className="btn-secondary" onClick={() => handleStageAction('decline')}>
-              <X size={16} /> End Chat
-            </button>
           </div>
         );
-      case 3: // Contact revealed
+      case 5: // Contact Exchange & Exit
         return (
           <div className="chat-stage-info">
             <Phone size={48} color="var(--accent-pink)" />
-            <h3>Stage 3: Contact Revealed!</h3>
-            <p>You both have revealed your WhatsApp numbers. Connect outside CathodeAnode!</p>
-            <p className="contact-info">
-              <Phone size={18} /> {otherUserProfile.whatsapp}
-            </p>
-            <a href={`https://wa.me/${otherUserProfile.whatsapp.replace('+', '')}`} target="_blank" rel="noopener noreferrer" className="btn-primary large">
-              Connect on WhatsApp <ArrowRight size={20} />
-            </a>
-            <button className="btn-secondary" onClick={() => handleStageAction('decline')}>
-              <X size={16} /> End Chat
+            <h3>Stage 5: Contact Exchange</h3>
+            <p>You both said yes! Numbers were shared at the same time, so messaging moves to WhatsApp from here.</p>
+            {partnerContact || (
+              <p className="waiting-text">Unlocking contacts...</p>
+            )}
+            <button className="btn-secondary" onClick={() => handleEndChat('contact_exchanged')}>
+              <Check size={16} /> Finish & Exit
             </button>
           </div>
         );
@@ -1114,7 +2642,8 @@ const ChatView = ({ profile, chat, onClose }) => {
           <div className="chat-stage-info">
             <AlertCircle size={48} color="var(--accent-pink)" />
             <h3>Chat Ended</h3>
-            <p>This conversation has concluded.</p>
+            <p>{describeChatEnd(chat.end_reason, otherUserProfile.name)}</p>
+            {partnerContact}
             <button className="btn-primary large" onClick={onClose}>
               Back to Dashboard
             </button>
@@ -1135,22 +2664,66 @@ const ChatView = ({ profile, chat, onClose }) => {
           <ArrowRight size={18} style={{ transform: 'rotate(180deg)' }} />
         </button>
         <div className="chat-partner-info">
-          {otherUserProfile?.avatar_url ? (
-            <img src={otherUserProfile.avatar_url} alt="partner" className="chat-avatar" />
+          {partnerAvatarUrl ? (
+            <img src={partnerAvatarUrl} alt="partner" className="chat-avatar" />
+          ) : otherUserProfile ? (
+            <div
+              className="chat-avatar initials-avatar"
+              title={photoUnlocked ? undefined : 'Photos unlock after you both pass the interest check'}
+            >
+              {getInitials(otherUserProfile.name)}
+            </div>
           ) : (
             <UserCircle size={36} />
           )}
           <h3>{otherUserProfile?.name || 'Loading...'}</h3>
-          <span className="chat-stage-badge">Stage {chat?.stage || 0}</span>
+          <span className="chat-stage-badge" title={CHAT_STAGES[chat?.stage || 0]}>
+            Stage {chat?.stage || 0}
+          </span>
+        </div>
+        <div className="chat-header-actions">
+          <button className="icon-btn" title="Report" onClick={() => setShowReport(true)}>
+            <Flag size={20} />
+          </button>
+          <button className="icon-btn" title="Block" onClick={handleBlock}>
+            <Ban size={20} />
+          </button>
+          <button
+            className="icon-btn"
+            title="End chat"
+            onClick={() => handleEndChat(chat?.stage >= 5 ? 'contact_exchanged' : 'declined')}
+          >
+            <X size={22} />
+          </button>
         </div>
-        <button className="icon-btn" onClick={() => handleStageAction('decline')}>
-          <X size={22} />
-        </button>
       </div>
 
+      <AnimatePresence>
+        {showReport && (
+          <ReportModal
+            key="report"
+            chatId={chat?.id}
+            partnerName={otherUserProfile?.name}
+            onBlocked={() => onChatChange({ active: false })}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+      </AnimatePresence>
+
       <div className="chat-messages-container">
+        {partnerGone && (
+          <div className="partner-status-banner">
+            <AlertCircle size={16} />
+            {otherUserProfile?.name || 'Your partner'} disconnected. The chat ends in {CHAT_DISCONNECT_GRACE_MS / 1000} seconds unless they reconnect.
+          </div>
+        )}
         <div className="chat-messages">
-          {messages.map((msg) => (
+          {messages.map((msg) => msg.system ? (
+            <div key={msg.id} className="system-prompt">
+              <Sparkles size={16} />
+              <p>{msg.content}</p>
+            </div>
+          ) : (
             <div
               key={msg.id}
               className={`message ${msg.sender_id === profile.id ? 'my-message' : 'other-message'}`}
@@ -1158,31 +2731,48 @@ const ChatView = ({ profile, chat, onClose }) => {
               <p>{msg.content}</p>
               <span className="message-time">
                 {new Date(msg.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                {msg.sender_id === profile.id && (
+                  receipts[msg.id] ? (
+                    <CheckCheck
+                      size={12}
+                      className={`receipt ${receipts[msg.id]}`}
+                      aria-label={receipts[msg.id] === 'seen' ? 'Seen' : 'Delivered'}
+                    />
+                  ) : (
+                    <Check size={12} className="receipt" aria-label="Sent" />
+                  )
+                )}
               </span>
             </div>
           ))}
+          {partnerTyping && (
+            <div className="typing-indicator">
+              <span></span><span></span><span></span>
+              <em>{otherUserProfile?.name || 'Your partner'} is typing</em>
+            </div>
+          )}
           <div ref={messagesEndRef} />
         </div>
       </div>
 
       <div className="chat-input-area glass-card">
-        {chat?.stage < 3 ? ( // Allow messaging up to stage 2
+        {chat?.active && chat?.stage < 5 ? ( // Allow messaging until contacts are exchanged
           <form onSubmit={handleSendMessage} className="message-form">
             <input
               type="text"
               placeholder="Type a message..."
               value={newMessage}
-              onChange={(e) => setNewMessage(e.target.value)}
+              onChange={handleMessageChange}
               className="chat-input"
-              disabled={chat?.stage >= 3}
+              maxLength={1000}
             />
-            <button type="submit" className="btn-primary" disabled={chat?.stage >= 3}>
+            <button type="submit" className="btn-primary">
               <ArrowRight size={20} />
             </button>
           </form>
         ) : (
           <div className="chat-input-disabled">
-            <p>Messaging is disabled at this stage. Please use WhatsApp.</p>
+            <p>{chat?.active ? 'Messaging is disabled at this stage. Please use WhatsApp.' : 'This chat has ended.'}</p>
           </div>
         )}
         <div className="chat-stage-actions">
@@ -1223,6 +2813,11 @@ const ChatView = ({ profile, chat, onClose }) => {
           padding: 0 1.5rem;
           z-index: 101;
         }
+        .chat-header-actions {
+          display: flex;
+          align-items: center;
+          gap: 0.25rem;
+        }
         .chat-partner-info {
           display: flex;
           align-items: center;
@@ -1239,6 +2834,45 @@ const ChatView = ({ profile, chat, onClose }) => {
           object-fit: cover;
           border: 2px solid var(--accent-pink);
         }
+        .system-prompt {
+          align-self: center;
+          display: flex;
+          align-items: center;
+          gap: 0.6rem;
+          max-width: 85%;
+          padding: 0.75rem 1.1rem;
+          border: 1px dashed var(--accent-pink);
+          border-radius: 16px;
+          background: var(--accent-soft);
+          color: var(--text-heading);
+          font-size: 0.9rem;
+          font-style: italic;
+        }
+        .system-prompt svg {
+          flex-shrink: 0;
+          color: var(--accent-pink);
+        }
+        .partner-status-banner {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin: 0 auto 1rem;
+          max-width: 600px;
+          padding: 0.6rem 1rem;
+          border-radius: 12px;
+          background: var(--accent-soft);
+          color: #E94057;
+          font-size: 0.85rem;
+        }
+        .initials-avatar {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: var(--accent-soft);
+          color: var(--accent-pink);
+          font-weight: 700;
+          font-size: 0.85rem;
+        }
         .chat-stage-badge {
           background: var(--accent-soft);
           color: var(--accent-pink);
@@ -1287,6 +2921,43 @@ const ChatView = ({ profile, chat, onClose }) => {
           bottom: 4px;
           right: 10px;
           color: inherit;
+          display: flex;
+          align-items: center;
+          gap: 3px;
+        }
+        .receipt {
+          opacity: 0.6;
+        }
+        .receipt.seen {
+          opacity: 1;
+        }
+        .typing-indicator {
+          align-self: flex-start;
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 0.5rem 0.9rem;
+          border-radius: 18px;
+          background: rgba(255, 255, 255, 0.8);
+          font-size: 0.75rem;
+          color: var(--text-main);
+        }
+        .typing-indicator span {
+          width: 6px;
+          height: 6px;
+          border-radius: 50%;
+          background: var(--accent-pink);
+          animation: typing-bounce 1.2s infinite;
+        }
+        .typing-indicator span:nth-child(2) { animation-delay: 0.2s; }
+        .typing-indicator span:nth-child(3) { animation-delay: 0.4s; }
+        .typing-indicator em {
+          margin-left: 0.4rem;
+          opacity: 0.7;
+        }
+        @keyframes typing-bounce {
+          0%, 60%, 100% { transform: translateY(0); opacity: 0.5; }
+          30% { transform: translateY(-4px); opacity: 1; }
         }
         .my-message .message-time {
           color: rgba(255, 255, 255, 0.8);
@@ -1366,6 +3037,24 @@ const ChatView = ({ profile, chat, onClose }) => {
           max-width: 250px;
           margin-top: 0.5rem;
         }
+        .vote-options {
+          display: flex;
+          gap: 0.5rem;
+          flex-wrap: wrap;
+          justify-content: center;
+          width: 100%;
+        }
+        .vote-options .btn-primary, .vote-options .btn-secondary {
+          width: auto;
+          min-width: 90px;
+        }
+        .confirm-number {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.5rem;
+          width: 100%;
+        }
         .waiting-text {
           font-style: italic;
           color: var(--text-light);
@@ -1383,7 +3072,371 @@ const ChatView = ({ profile, chat, onClose }) => {
   );
 };
 
-const AuthSentView = ({ email, onBack }) => {
+const REPORT_CATEGORIES = [
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'fake_account', label: 'Fake account' },
+  { value: 'underage', label: 'Underage' },
+  { value: 'spam', label: 'Spam' },
+];
+
+const ReportModal = ({ chatId, partnerName, onBlocked, onClose }) => {
+  const [category, setCategory] = useState('');
+  const [note, setNote] = useState('');
+  const [alsoBlock, setAlsoBlock] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!category) {
+      setError('Please pick what went wrong.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const { error: reportError } = await supabase.rpc('report_chat_partner', {
+        p_chat_id: chatId,
+        p_category: category,
+        p_note: note,
+      });
+      if (reportError) throw reportError;
+
+      if (alsoBlock) {
+        const { error: blockError } = await supabase.rpc('block_chat_partner', { p_chat_id: chatId });
+        if (blockError) throw blockError;
+        onBlocked();
+      }
+      setSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="modal-backdrop"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        className="modal-card glass-card"
+        initial={{ scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {sent ? (
+          <div className="report-sent">
+            <ShieldCheck size={40} color="var(--accent-pink)" />
+            <h3>Thanks for telling us</h3>
+            <p>Our moderators will review this. {partnerName} won't know you reported them.</p>
+            <button className="btn-primary btn-full" onClick={onClose}>Done</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <h3><Flag size={18} /> Report {partnerName || 'this user'}</h3>
+            <div className="report-options">
+              {REPORT_CATEGORIES.map(({ value, label }) => (
+                <label key={value} className={`report-option ${category === value ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name="report-category"
+                    value={value}
+                    checked={category === value}
+                    onChange={() => setCategory(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <textarea
+              className="auth-input report-note"
+              placeholder="Anything else we should know? (optional)"
+              maxLength={500}
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <label className="report-block-toggle">
+              <input type="checkbox" checked={alsoBlock} onChange={(e) => setAlsoBlock(e.target.checked)} />
+              Also block and end this chat
+            </label>
+            {error && <div className="error-msg"><AlertCircle size={14} /> {error}</div>}
+            <div className="modal-actions">
+              <button type="button" className="btn-secondary" onClick={onClose}>Cancel</button>
+              <button type="submit" className="btn-primary" disabled={loading}>
+                {loading ? 'Sending...' : 'Send Report'}
+              </button>
+            </div>
+          </form>
+        )}
+      </motion.div>
+
+      <style jsx>{`
+        .report-options { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; margin-bottom: 1rem; }
+        .report-option { display: flex; align-items: center; gap: 0.4rem; padding: 0.6rem 0.8rem; border: 1px solid rgba(255,100,162,0.2); border-radius: 12px; cursor: pointer; font-size: 0.9rem; }
+        .report-option.selected { border-color: var(--accent-pink); background: var(--accent-soft); }
+        .report-option input { accent-color: var(--accent-pink); }
+        .report-note { min-height: 90px; resize: vertical; padding: 0.8rem 1rem; font-family: inherit; }
+        .report-block-toggle { display: flex; align-items: center; gap: 0.5rem; font-size: 0.85rem; margin: 0.8rem 0; }
+        .report-sent { display: flex; flex-direction: column; align-items: center; gap: 0.8rem; text-align: center; }
+        .report-sent p { opacity: 0.7; font-size: 0.9rem; }
+      `}</style>
+    </motion.div>
+  );
+};
+
+const RestrictedView = ({ restriction, onLogout }) => {
+  return (
+    <motion.div
+      className="auth-screen"
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <div className="auth-card glass-card">
+        <div className="auth-logo">
+          <Ban size={48} color="var(--accent-pink)" />
+        </div>
+        {restriction.type === 'banned' ? (
+          <>
+            <h2 className="auth-title">Account Banned</h2>
+            <p className="auth-subtitle">
+              Our moderators reviewed reports about your account and found it broke the Rules of the Anode.
+              You can no longer use CathodeAnode.
+            </p>
+          </>
+        ) : (
+          <>
+            <h2 className="auth-title">Account Suspended</h2>
+            <p className="auth-subtitle">
+              After reviewing reports about your account, our moderators paused it until <br />
+              <strong>{restriction.until.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</strong>. <br /><br />
+              You can't match or chat until then.
+            </p>
+          </>
+        )}
+        <button className="btn-secondary btn-full" onClick={onLogout}>
+          <LogOut size={18} /> Log Out
+        </button>
+      </div>
+      <div className="pink-gradient-bg">
+        <div className="pink-orb orb-1"></div>
+        <div className="pink-orb orb-2"></div>
+      </div>
+    </motion.div>
+  );
+};
+
+const AdminView = ({ onBack }) => {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [suspendDays, setSuspendDays] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    supabase.rpc('list_open_reports').then(({ data, error }) => {
+      if (error) {
+        console.error("Error fetching reports:", error);
+        setError(error.message);
+      } else {
+        setReports(data);
+      }
+      setLoading(false);
+    });
+  }, []);
+
+  const handleAction = async (report, action) => {
+    const days = action === 'suspend' ? parseInt(suspendDays[report.id] || '7', 10) : null;
+    if (action === 'ban' && !window.confirm(`Permanently ban ${report.reported_name}?`)) return;
+
+    setBusyId(report.id);
+    setError('');
+    const { error } = await supabase.rpc('moderate_report', {
+      p_report_id: report.id,
+      p_action: action,
+      p_days: days,
+    });
+    setBusyId(null);
+
+    if (error) {
+      setError(error.message);
+      return;
+    }
+    setReports((prev) => prev.filter((r) => r.id !== report.id));
+  };
+
+  const formatTime = (value) => value
+    ? new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+    : '—';
+
+  return (
+    <div className="dashboard-container">
+      <button className="back-btn" onClick={onBack}>
+        <ArrowRight size={18} style={{ transform: 'rotate(180deg)' }} /> Back
+      </button>
+
+      <main className="container main-dash">
+        <div className="glass-card admin-header">
+          <ShieldCheck size={24} color="var(--accent-pink)" />
+          <h2>Moderation</h2>
+          <span className="chat-stage-badge">{reports.length} open</span>
+        </div>
+
+        {error && <div className="error-msg"><AlertCircle size={14} /> {error}</div>}
+
+        {loading ? (
+          <p className="admin-empty">Loading reports...</p>
+        ) : reports.length === 0 ? (
+          <p className="admin-empty">No open reports. The campus is behaving ✨</p>
+        ) : (
+          reports.map((report) => (
+            <div key={report.id} className="glass-card report-card">
+              <div className="report-card-top">
+                <span className="report-category">{REPORT_CATEGORIES.find((c) => c.value === report.category)?.label || report.category}</span>
+                <span className="report-date">{formatTime(report.created_at)}</span>
+              </div>
+              <div className="profile-details-list">
+                <div className="detail-item">
+                  <span className="label">Reported</span>
+                  <span className="val">
+                    {report.reported_name || 'Unknown'} · {report.reported_report_count} reports · {report.reported_warning_count} warnings
+                  </span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Reporter</span>
+                  <span className="val">{report.reporter_name || 'Unknown'}</span>
+                </div>
+                <div className="detail-item">
+                  <span className="label">Chat</span>
+                  <span className="val">
+                    {report.chat_id
+                      ? `Stage ${report.chat_stage} · started ${formatTime(report.chat_started_at)} · ended ${formatTime(report.chat_ended_at)}`
+                      : 'No longer available'}
+                  </span>
+                </div>
+              </div>
+              {report.note && <p className="report-note-text">"{report.note}"</p>}
+              <div className="report-actions">
+                <button className="btn-secondary" disabled={busyId === report.id} onClick={() => handleAction(report, 'dismiss')}>
+                  Dismiss
+                </button>
+                <button className="btn-secondary" disabled={busyId === report.id} onClick={() => handleAction(report, 'warn')}>
+                  <AlertCircle size={16} /> Warn
+                </button>
+                <div className="suspend-group">
+                  <input
+                    type="number"
+                    min="1"
+                    className="suspend-days"
+                    value={suspendDays[report.id] ?? '7'}
+                    onChange={(e) => setSuspendDays({ ...suspendDays, [report.id]: e.target.value })}
+                  />
+                  <button className="btn-secondary" disabled={busyId === report.id} onClick={() => handleAction(report, 'suspend')}>
+                    Suspend (days)
+                  </button>
+                </div>
+                <button className="btn-primary" disabled={busyId === report.id} onClick={() => handleAction(report, 'ban')}>
+                  <Ban size={16} /> Ban
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </main>
+
+      <div className="pink-gradient-bg">
+        <div className="pink-orb orb-1"></div>
+        <div className="pink-orb orb-2"></div>
+      </div>
+
+      <style jsx>{`
+        .admin-header { display: flex; align-items: center; gap: 0.8rem; padding: 1.5rem 2rem; }
+        .admin-header h2 { font-size: 1.5rem; flex-grow: 1; }
+        .admin-empty { text-align: center; opacity: 0.7; }
+        .report-card { padding: 1.5rem 2rem; }
+        .report-card-top { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; }
+        .report-category { background: var(--accent-soft); color: var(--accent-pink); padding: 0.3rem 0.8rem; border-radius: 12px; font-weight: 700; font-size: 0.85rem; }
+        .report-date { font-size: 0.8rem; opacity: 0.6; }
+        .report-card .profile-details-list { margin-bottom: 1rem; }
+        .report-note-text { font-style: italic; opacity: 0.8; margin-bottom: 1rem; }
+        .report-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; }
+        .suspend-group { display: flex; gap: 0.3rem; align-items: center; }
+        .suspend-days { width: 60px; padding: 0.6rem; border: 1px solid var(--border-pink); border-radius: 12px; text-align: center; }
+      `}</style>
+    </div>
+  );
+};
+
+const OTP_RESEND_COOLDOWN = 60; // seconds, matches Supabase's default email rate limit
+
+// Maps Supabase auth errors to something a student can act on
+const describeOtpError = (error) => {
+  if (error.code === 'otp_expired') {
+    return 'That code is wrong or has expired. Check your latest email or send a new one.';
+  }
+  if (error.status === 429 || error.code === 'over_email_send_rate_limit') {
+    return 'Too many attempts. Please wait a minute and try again.';
+  }
+  return error.message;
+};
+
+const AuthSentView = ({ email, onResend, onBack }) => {
+  const [code, setCode] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [cooldown, setCooldown] = useState(OTP_RESEND_COOLDOWN);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown((c) => c - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  // On success the auth listener in App picks up the new session
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (code.length !== 6) {
+      setError('Enter the 6-digit code from the email.');
+      return;
+    }
+
+    setVerifying(true);
+    setError('');
+    setNotice('');
+    const { error: verifyError } = await supabase.auth.verifyOtp({
+      email,
+      token: code,
+      type: 'email',
+    });
+    setVerifying(false);
+
+    if (verifyError) {
+      setError(describeOtpError(verifyError));
+      setCode('');
+    }
+  };
+
+  const handleResend = async () => {
+    setError('');
+    setNotice('');
+    setCooldown(OTP_RESEND_COOLDOWN);
+
+    const { error: resendError } = await onResend();
+    if (resendError) {
+      setError(describeOtpError(resendError));
+    } else {
+      setNotice('A new code is on its way. Older codes no longer work.');
+    }
+  };
+
   return (
     <motion.div
       className="auth-screen"
@@ -1397,13 +3450,45 @@ const AuthSentView = ({ email, onBack }) => {
         </div>
         <h2 className="auth-title">Check your Inbox</h2>
         <p className="auth-subtitle">
-          We've sent a magic link to <br />
+          We've sent a 6-digit code and a magic link to <br />
           <strong>{email}</strong>. <br /><br />
-          Click the link in the email to sign in instantly.
+          Enter the code below, or click the link in the email to sign in instantly.
         </p>
-        <button className="btn-secondary btn-full" onClick={onBack}>
-          Try another email
+        <form onSubmit={handleVerify}>
+          <div className="input-group">
+            <label className="input-label">Verification Code</label>
+            <div className="input-wrapper">
+              <KeyRound className="input-icon" size={18} />
+              <input
+                type="text"
+                className="auth-input otp-input"
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                autoFocus
+              />
+            </div>
+            {error && (
+              <div className="error-msg">
+                <AlertCircle size={14} />
+                {error}
+              </div>
+            )}
+            {notice && <p className="campus-hint">{notice}</p>}
+          </div>
+          <button type="submit" className="btn-primary btn-full large" disabled={verifying || code.length !== 6}>
+            {verifying ? 'Verifying...' : 'Verify & Continue'}
+          </button>
+        </form>
+        <button className="btn-secondary btn-full" onClick={handleResend} disabled={cooldown > 0}>
+          {cooldown > 0 ? `Resend code in ${cooldown}s` : 'Resend code'}
         </button>
+        <div className="auth-footer">
+          <span>Wrong address? <span className="switch-link" onClick={onBack}>Try another email</span></span>
+        </div>
       </div>
       <div className="pink-gradient-bg">
         <div className="pink-orb orb-1"></div>
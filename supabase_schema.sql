@@ -15,18 +15,8 @@ CREATE TABLE IF NOT EXISTS public.chats (
   active BOOLEAN DEFAULT true
 );
 
--- Create Messages Table
-CREATE TABLE IF NOT EXISTS public.messages (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  chat_id UUID REFERENCES public.chats ON DELETE CASCADE NOT NULL,
-  sender_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
-  content TEXT NOT NULL,
-  created_at TIMESTAMPTZ DEFAULT NOW()
-);
-
 -- Enable RLS
 ALTER TABLE public.chats ENABLE ROW LEVEL SECURITY;
-ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
 
 -- Policies for Chats
 CREATE POLICY "Users can see their own active chats." 
@@ -37,17 +27,1800 @@ CREATE POLICY "Users can create chats."
   ON public.chats FOR INSERT 
   WITH CHECK ( auth.uid() = user1_id OR auth.uid() = user2_id );
 
--- Policies for Messages
-CREATE POLICY "Users can see messages in their chats." 
-  ON public.messages FOR SELECT 
-  USING ( EXISTS (
-    SELECT 1 FROM public.chats 
-    WHERE id = chat_id AND (user1_id = auth.uid() OR user2_id = auth.uid())
-  ));
-
-CREATE POLICY "Users can send messages to their chats." 
-  ON public.messages FOR INSERT 
-  WITH CHECK ( auth.uid() = sender_id AND EXISTS (
-    SELECT 1 FROM public.chats 
-    WHERE id = chat_id AND (user1_id = auth.uid() OR user2_id = auth.uid())
-  ));
+-- Consent Votes (Stage 2 Interest Check & Stage 4 Connection Decision)
+-- Votes are private: each user can only ever read their own rows, and the
+-- only way to cast one is through cast_consent_vote() below.
+CREATE TABLE IF NOT EXISTS public.chat_votes (
+  chat_id UUID REFERENCES public.chats ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  stage INTEGER NOT NULL CHECK ( stage IN (2, 4) ),
+  vote TEXT NOT NULL CHECK ( vote IN ('yes', 'not_now', 'no') ),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (chat_id, user_id, stage)
+);
+
+ALTER TABLE public.chat_votes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see only their own votes."
+  ON public.chat_votes FOR SELECT
+  USING ( auth.uid() = user_id );
+
+-- Casts the caller's vote for the chat's current voting stage.
+-- Returns { status, stage, active } where status is 'waiting' until the
+-- partner has voted, then 'advanced', 'paused' (Not Now) or 'ended'.
+-- Only the outcome is broadcast to the chat channel, never who voted what.
+CREATE OR REPLACE FUNCTION public.cast_consent_vote(p_chat_id UUID, p_vote TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+  v_my_vote TEXT;
+  v_partner_vote TEXT;
+  v_status TEXT;
+BEGIN
+  -- Lock the chat row so two simultaneous votes resolve one after the other
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+  IF NOT v_chat.active THEN
+    RAISE EXCEPTION 'This chat has already ended';
+  END IF;
+  IF v_chat.stage NOT IN (2, 4) THEN
+    RAISE EXCEPTION 'No decision is open at stage %', v_chat.stage;
+  END IF;
+  IF p_vote NOT IN ('yes', 'no') AND NOT (v_chat.stage = 4 AND p_vote = 'not_now') THEN
+    RAISE EXCEPTION 'Invalid vote % for stage %', p_vote, v_chat.stage;
+  END IF;
+
+  INSERT INTO public.chat_votes (chat_id, user_id, stage, vote)
+  VALUES (p_chat_id, auth.uid(), v_chat.stage, p_vote)
+  ON CONFLICT (chat_id, user_id, stage) DO NOTHING;
+
+  -- A vote is final: re-reading it ignores any attempt to change it
+  SELECT vote INTO v_my_vote FROM public.chat_votes
+  WHERE chat_id = p_chat_id AND stage = v_chat.stage AND user_id = auth.uid();
+  SELECT vote INTO v_partner_vote FROM public.chat_votes
+  WHERE chat_id = p_chat_id AND stage = v_chat.stage AND user_id <> auth.uid();
+
+  -- Nothing is settled until both votes are in, whatever the first one was,
+  -- so the partner can't read a No or Not Now off a stage change
+  IF v_partner_vote IS NULL THEN
+    RETURN jsonb_build_object('status', 'waiting', 'stage', v_chat.stage, 'active', true);
+  END IF;
+
+  PERFORM set_config('app.stage_machine', 'on', true);
+
+  IF v_my_vote = 'yes' AND v_partner_vote = 'yes' THEN
+    v_status := 'advanced';
+    UPDATE public.chats SET stage = stage + 1 WHERE id = p_chat_id
+    RETURNING * INTO v_chat;
+  ELSIF v_my_vote = 'no' OR v_partner_vote = 'no' THEN
+    v_status := 'ended';
+    UPDATE public.chats SET active = false, ended_at = NOW(), end_reason = 'declined' WHERE id = p_chat_id
+    RETURNING * INTO v_chat;
+  ELSE
+    -- A "Not Now" sends both users back to Mutual Engagement for another round
+    v_status := 'paused';
+    DELETE FROM public.chat_votes WHERE chat_id = p_chat_id AND stage = 4;
+    UPDATE public.chats SET stage = 3 WHERE id = p_chat_id
+    RETURNING * INTO v_chat;
+  END IF;
+
+  PERFORM realtime.send(
+    jsonb_build_object('stage', v_chat.stage, 'active', v_chat.active, 'end_reason', v_chat.end_reason),
+    'chat_state',
+    'chat:' || p_chat_id,
+    true
+  );
+
+  RETURN jsonb_build_object('status', v_status, 'stage', v_chat.stage, 'active', v_chat.active);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.cast_consent_vote(UUID, TEXT) TO authenticated;
+
+-- Matchmaking Queue
+-- Users never write to this table directly; join_match_queue() and
+-- leave_match_queue() are the only entry points.
+CREATE TABLE IF NOT EXISTS public.match_queue (
+  user_id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.match_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own queue entry."
+  ON public.match_queue FOR SELECT
+  USING ( auth.uid() = user_id );
+
+-- Pairs the caller with the longest-waiting user in one transaction.
+-- Returns the new chat id (or the caller's live chat, if they already have
+-- one), or NULL when the caller was queued to wait; in that case the chat
+-- arrives later through the user-chats-* subscription.
+CREATE OR REPLACE FUNCTION public.join_match_queue()
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_partner UUID;
+  v_chat_id UUID;
+  v_university_id UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF public.is_restricted(auth.uid()) THEN
+    RAISE EXCEPTION 'Your account is not allowed to join matching';
+  END IF;
+  -- Profiles from before date_of_birth existed must confirm they are 18+ first
+  IF NOT EXISTS (
+    SELECT 1 FROM public.private_profiles WHERE user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'Add your date of birth before matching';
+  END IF;
+
+  -- Serialise matchmaking so two simultaneous joiners can't both end up waiting
+  PERFORM pg_advisory_xact_lock(hashtext('match_queue'));
+
+  -- Already in a live chat: hand that one back instead of starting another
+  SELECT id INTO v_chat_id FROM public.chats
+  WHERE active AND auth.uid() IN (user1_id, user2_id)
+  LIMIT 1;
+  IF v_chat_id IS NOT NULL THEN
+    RETURN v_chat_id;
+  END IF;
+
+  SELECT university_id INTO v_university_id FROM public.profiles WHERE id = auth.uid();
+
+  -- Matching stays within the caller's campus
+  SELECT q.user_id INTO v_partner
+  FROM public.match_queue q
+  JOIN public.profiles p ON p.id = q.user_id
+  WHERE q.user_id <> auth.uid()
+    AND p.university_id IS NOT DISTINCT FROM v_university_id
+    AND p.last_seen_at > NOW() - INTERVAL '90 seconds' -- tab closed, not yet swept
+    AND NOT public.is_blocked_pair(auth.uid(), q.user_id)
+    AND public.satisfies_match_preferences(auth.uid(), q.user_id)
+    AND public.satisfies_match_preferences(q.user_id, auth.uid())
+    AND public.can_rematch(auth.uid(), q.user_id)
+  -- Fair rotation: whoever has waited longest goes first, and someone skipped
+  -- over by the filters above keeps their place for the next joiner
+  ORDER BY q.joined_at, q.user_id
+  LIMIT 1
+  FOR UPDATE OF q SKIP LOCKED;
+
+  IF v_partner IS NULL THEN
+    INSERT INTO public.match_queue (user_id) VALUES (auth.uid())
+    ON CONFLICT (user_id) DO NOTHING;
+    UPDATE public.profiles SET is_searching = true WHERE id = auth.uid();
+    RETURN NULL;
+  END IF;
+
+  DELETE FROM public.match_queue WHERE user_id IN (auth.uid(), v_partner);
+  UPDATE public.profiles SET is_searching = false WHERE id IN (auth.uid(), v_partner);
+
+  -- Lower id is always user1 so a pair maps to one canonical row
+  INSERT INTO public.chats (user1_id, user2_id, stage, active)
+  VALUES (LEAST(auth.uid(), v_partner), GREATEST(auth.uid(), v_partner), 0, true)
+  RETURNING id INTO v_chat_id;
+
+  RETURN v_chat_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.leave_match_queue()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('match_queue'));
+  DELETE FROM public.match_queue WHERE user_id = auth.uid();
+  UPDATE public.profiles SET is_searching = false WHERE id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.join_match_queue() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.leave_match_queue() TO authenticated;
+
+-- Chats are now only created by join_match_queue()
+DROP POLICY IF EXISTS "Users can create chats." ON public.chats;
+
+-- Ephemeral Messaging
+-- Chat content only travels over the private Realtime broadcast topic
+-- "chat:<chat id>"; nothing is written to Postgres, so the old table goes.
+DROP TABLE IF EXISTS public.messages;
+
+CREATE OR REPLACE FUNCTION public.is_chat_topic_participant(p_topic TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.chats
+    WHERE 'chat:' || id::text = p_topic
+      AND active
+      AND auth.uid() IN (user1_id, user2_id)
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_chat_topic_participant(TEXT) TO authenticated;
+
+CREATE POLICY "Chat participants can receive chat broadcasts."
+  ON realtime.messages FOR SELECT
+  TO authenticated
+  USING ( public.is_chat_topic_participant(realtime.topic()) );
+
+-- Realtime checks this once, when a client joins the channel, so it can't
+-- tell one broadcast event from another. A participant could therefore send
+-- anything the server sends too; ChatView only treats chat_state and
+-- system_prompt as a cue to read the real values from Postgres.
+CREATE POLICY "Chat participants can send chat broadcasts."
+  ON realtime.messages FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    public.is_chat_topic_participant(realtime.topic())
+    AND realtime.messages.extension IN ('broadcast', 'presence')
+  );
+
+-- Blocks & Reports
+CREATE TABLE IF NOT EXISTS public.blocks (
+  blocker_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  blocked_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK ( blocker_id <> blocked_id )
+);
+
+CREATE TABLE IF NOT EXISTS public.reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  reported_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  chat_id UUID REFERENCES public.chats ON DELETE SET NULL,
+  category TEXT NOT NULL CHECK ( category IN ('harassment', 'fake_account', 'underage', 'spam') ),
+  note TEXT CHECK ( char_length(note) <= 500 ),
+  status TEXT NOT NULL DEFAULT 'open',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
+
+-- The blocked user never learns they were blocked, so only the blocker sees the row
+CREATE POLICY "Users can see who they blocked."
+  ON public.blocks FOR SELECT
+  USING ( auth.uid() = blocker_id );
+
+CREATE POLICY "Users can see their own reports."
+  ON public.reports FOR SELECT
+  USING ( auth.uid() = reporter_id );
+
+CREATE OR REPLACE FUNCTION public.is_blocked_pair(p_a UUID, p_b UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.blocks
+    WHERE (blocker_id = p_a AND blocked_id = p_b)
+       OR (blocker_id = p_b AND blocked_id = p_a)
+  );
+$$;
+
+-- Blocks the caller's partner in a chat and ends that chat for both sides
+CREATE OR REPLACE FUNCTION public.block_chat_partner(p_chat_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+  v_partner UUID;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+
+  v_partner := CASE WHEN v_chat.user1_id = auth.uid() THEN v_chat.user2_id ELSE v_chat.user1_id END;
+
+  INSERT INTO public.blocks (blocker_id, blocked_id)
+  VALUES (auth.uid(), v_partner)
+  ON CONFLICT DO NOTHING;
+
+  IF v_chat.active THEN
+    UPDATE public.chats SET active = false, ended_at = NOW(), end_reason = 'blocked' WHERE id = p_chat_id;
+    PERFORM realtime.send(
+      jsonb_build_object('stage', v_chat.stage, 'active', false, 'end_reason', 'blocked'),
+      'chat_state',
+      'chat:' || p_chat_id,
+      true
+    );
+  END IF;
+END;
+$$;
+
+-- Files a report against the caller's partner; works during and after a chat
+CREATE OR REPLACE FUNCTION public.report_chat_partner(p_chat_id UUID, p_category TEXT, p_note TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+  v_report_id UUID;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+
+  INSERT INTO public.reports (reporter_id, reported_id, chat_id, category, note)
+  VALUES (
+    auth.uid(),
+    CASE WHEN v_chat.user1_id = auth.uid() THEN v_chat.user2_id ELSE v_chat.user1_id END,
+    p_chat_id,
+    p_category,
+    NULLIF(trim(p_note), '')
+  )
+  RETURNING id INTO v_report_id;
+
+  RETURN v_report_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.is_blocked_pair(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.block_chat_partner(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.report_chat_partner(UUID, TEXT, TEXT) TO authenticated;
+
+-- Moderation
+-- Admins carry { "role": "admin" } in their app_metadata, which only the
+-- service role can set, e.g.
+--   UPDATE auth.users SET raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'
+--   WHERE email = 'moderator@gbu.ac.in';
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS banned BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS warning_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_warned_at TIMESTAMPTZ;
+
+ALTER TABLE public.reports
+ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES auth.users ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS resolution TEXT;
+
+ALTER TABLE public.reports
+ADD CONSTRAINT reports_status_check CHECK ( status IN ('open', 'dismissed', 'actioned') );
+
+CREATE TABLE IF NOT EXISTS public.moderation_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID REFERENCES public.reports ON DELETE SET NULL,
+  admin_id UUID REFERENCES auth.users ON DELETE SET NULL,
+  target_id UUID REFERENCES auth.users ON DELETE CASCADE NOT NULL,
+  action TEXT NOT NULL CHECK ( action IN ('dismiss', 'warn', 'suspend', 'ban') ),
+  days INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.moderation_actions ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_restricted(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles
+    WHERE id = p_user_id
+      AND (banned OR suspended_until > NOW())
+  );
+$$;
+
+CREATE POLICY "Admins can see moderation history."
+  ON public.moderation_actions FOR SELECT
+  USING ( public.is_admin() );
+
+-- Users may edit their own profile, but never their moderation status
+CREATE OR REPLACE FUNCTION public.guard_moderation_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF (NEW.banned, NEW.suspended_until, NEW.warning_count, NEW.last_warned_at)
+     IS DISTINCT FROM (OLD.banned, OLD.suspended_until, OLD.warning_count, OLD.last_warned_at)
+     AND current_setting('app.moderation', true) IS DISTINCT FROM 'on' THEN
+    RAISE EXCEPTION 'Moderation fields can only be changed by a moderator';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_moderation_columns ON public.profiles;
+CREATE TRIGGER guard_moderation_columns
+  BEFORE UPDATE ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.guard_moderation_columns();
+
+-- Open reports with the people and chat involved, for the admin console
+CREATE OR REPLACE FUNCTION public.list_open_reports()
+RETURNS TABLE (
+  id UUID,
+  category TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ,
+  reporter_id UUID,
+  reporter_name TEXT,
+  reported_id UUID,
+  reported_name TEXT,
+  reported_warning_count INTEGER,
+  reported_report_count BIGINT,
+  chat_id UUID,
+  chat_stage INTEGER,
+  chat_started_at TIMESTAMPTZ,
+  chat_ended_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Admins only';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    r.id, r.category, r.note, r.created_at,
+    r.reporter_id, reporter.name,
+    r.reported_id, reported.name, coalesce(standing.warning_count, 0),
+    (SELECT count(*) FROM public.reports r2 WHERE r2.reported_id = r.reported_id),
+    c.id, c.stage, c.created_at, c.ended_at
+  FROM public.reports r
+  LEFT JOIN public.profiles reporter ON reporter.id = r.reporter_id
+  LEFT JOIN public.profiles reported ON reported.id = r.reported_id
+  LEFT JOIN public.account_standing standing ON standing.user_id = r.reported_id
+  LEFT JOIN public.chats c ON c.id = r.chat_id
+  WHERE r.status = 'open'
+  ORDER BY r.created_at;
+END;
+$$;
+
+-- Resolves a report with one of: dismiss, warn, suspend (for p_days) or ban
+CREATE OR REPLACE FUNCTION public.moderate_report(p_report_id UUID, p_action TEXT, p_days INTEGER DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_report public.reports%ROWTYPE;
+  v_chat public.chats%ROWTYPE;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Admins only';
+  END IF;
+
+  SELECT * INTO v_report FROM public.reports WHERE id = p_report_id FOR UPDATE;
+  IF NOT FOUND OR v_report.status <> 'open' THEN
+    RAISE EXCEPTION 'Report is not open';
+  END IF;
+  IF p_action = 'suspend' AND coalesce(p_days, 0) < 1 THEN
+    RAISE EXCEPTION 'Suspensions need a number of days';
+  END IF;
+
+  IF p_action = 'warn' THEN
+    INSERT INTO public.account_standing (user_id, warning_count, last_warned_at)
+    VALUES (v_report.reported_id, 1, NOW())
+    ON CONFLICT (user_id) DO UPDATE
+    SET warning_count = account_standing.warning_count + 1, last_warned_at = NOW();
+  ELSIF p_action = 'suspend' THEN
+    INSERT INTO public.account_standing (user_id, suspended_until)
+    VALUES (v_report.reported_id, NOW() + make_interval(days => p_days))
+    ON CONFLICT (user_id) DO UPDATE
+    SET suspended_until = EXCLUDED.suspended_until;
+    UPDATE public.profiles SET is_searching = false WHERE id = v_report.reported_id;
+  ELSIF p_action = 'ban' THEN
+    INSERT INTO public.account_standing (user_id, banned)
+    VALUES (v_report.reported_id, true)
+    ON CONFLICT (user_id) DO UPDATE
+    SET banned = true;
+    UPDATE public.profiles SET is_searching = false WHERE id = v_report.reported_id;
+  ELSIF p_action <> 'dismiss' THEN
+    RAISE EXCEPTION 'Unknown moderation action %', p_action;
+  END IF;
+
+  -- Suspended or banned users leave the queue and any live chat right away
+  IF p_action IN ('suspend', 'ban') THEN
+    DELETE FROM public.match_queue WHERE user_id = v_report.reported_id;
+    FOR v_chat IN
+      UPDATE public.chats SET active = false, ended_at = NOW(), end_reason = 'moderated'
+      WHERE active AND v_report.reported_id IN (user1_id, user2_id)
+      RETURNING *
+    LOOP
+      PERFORM realtime.send(
+        jsonb_build_object('stage', v_chat.stage, 'active', false, 'end_reason', 'moderated'),
+        'chat_state',
+        'chat:' || v_chat.id,
+        true
+      );
+    END LOOP;
+  END IF;
+
+  UPDATE public.reports
+  SET status = CASE WHEN p_action = 'dismiss' THEN 'dismissed' ELSE 'actioned' END,
+      resolution = p_action,
+      resolved_at = NOW(),
+      resolved_by = auth.uid()
+  WHERE id = p_report_id;
+
+  INSERT INTO public.moderation_actions (report_id, admin_id, target_id, action, days)
+  VALUES (p_report_id, auth.uid(), v_report.reported_id, p_action, p_days);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.is_restricted(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.list_open_reports() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.moderate_report(UUID, TEXT, INTEGER) TO authenticated;
+
+-- Universities (Email Domain Allow-List)
+CREATE TABLE IF NOT EXISTS public.universities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  domain TEXT UNIQUE NOT NULL CHECK ( domain = lower(domain) ),
+  name TEXT NOT NULL,
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO public.universities (domain, name)
+VALUES ('gbu.ac.in', 'Gautam Buddha University')
+ON CONFLICT (domain) DO NOTHING;
+
+ALTER TABLE public.universities ENABLE ROW LEVEL SECURITY;
+
+-- Public so the signup screen can validate before an account exists
+CREATE POLICY "Anyone can see active universities."
+  ON public.universities FOR SELECT
+  USING ( active );
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS university_id UUID REFERENCES public.universities;
+
+CREATE OR REPLACE FUNCTION public.university_for_email(p_email TEXT)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT id FROM public.universities
+  WHERE active AND domain = split_part(lower(p_email), '@', 2);
+$$;
+
+-- Server-side twin of the client check, so calling signInWithOtp directly
+-- with an outside address still can't create an account
+CREATE OR REPLACE FUNCTION public.enforce_university_email()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF public.university_for_email(NEW.email) IS NULL THEN
+    RAISE EXCEPTION 'Only verified university emails can sign up';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_university_email ON auth.users;
+CREATE TRIGGER enforce_university_email
+  BEFORE INSERT ON auth.users
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_university_email();
+
+-- Sign-in Emails (Magic Link + 6-Digit Code)
+-- Not SQL, but required: Supabase's stock "Magic Link" and "Confirm signup"
+-- templates only contain the link, so the code the sign-in screen asks for
+-- never arrives. In the dashboard under Authentication > Email Templates, add
+-- the code to both templates next to the link, e.g.
+--   <p>Your code: <strong>{{ .Token }}</strong></p>
+--   <p><a href="{{ .ConfirmationURL }}">Or sign in with this link</a></p>
+-- Self-hosted projects set the same templates through GOTRUE_MAILER_TEMPLATES_*.
+
+-- A profile's university always comes from its verified email, never the client
+CREATE OR REPLACE FUNCTION public.set_profile_university()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.university_id IS DISTINCT FROM OLD.university_id THEN
+    SELECT public.university_for_email(email) INTO NEW.university_id
+    FROM auth.users WHERE id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_profile_university ON public.profiles;
+CREATE TRIGGER set_profile_university
+  BEFORE INSERT OR UPDATE ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.set_profile_university();
+
+UPDATE public.profiles p
+SET university_id = public.university_for_email(u.email)
+FROM auth.users u
+WHERE u.id = p.id AND p.university_id IS NULL;
+
+-- Date of Birth (18+ Only)
+-- Age is always derived from date_of_birth so it never goes stale.
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS date_of_birth DATE CHECK ( date_of_birth > DATE '1900-01-01' );
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS age;
+
+CREATE OR REPLACE FUNCTION public.enforce_adult_profile()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.date_of_birth IS NULL THEN
+    RAISE EXCEPTION 'Date of birth is required';
+  END IF;
+  IF NEW.date_of_birth > (CURRENT_DATE - INTERVAL '18 years')::date THEN
+    RAISE EXCEPTION 'You must be 18 or older to join';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Only checked when the date is written. Profiles created before this column
+-- existed have no date: the app sends them back to onboarding to add one, and
+-- join_match_queue() refuses them until they do.
+DROP TRIGGER IF EXISTS enforce_adult_profile ON public.profiles;
+CREATE TRIGGER enforce_adult_profile
+  BEFORE INSERT OR UPDATE OF date_of_birth ON public.profiles
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_adult_profile();
+
+-- Academic Reference Data (School / Department / Year Dropdowns)
+CREATE TABLE IF NOT EXISTS public.schools (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  university_id UUID REFERENCES public.universities ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  UNIQUE (university_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.departments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID REFERENCES public.schools ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  UNIQUE (school_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.academic_years (
+  value INTEGER PRIMARY KEY,
+  label TEXT NOT NULL
+);
+
+ALTER TABLE public.schools ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.departments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.academic_years ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can see schools." ON public.schools FOR SELECT USING ( true );
+CREATE POLICY "Anyone can see departments." ON public.departments FOR SELECT USING ( true );
+CREATE POLICY "Anyone can see academic years." ON public.academic_years FOR SELECT USING ( true );
+
+INSERT INTO public.academic_years (value, label) VALUES
+  (1, '1st Year'),
+  (2, '2nd Year'),
+  (3, '3rd Year'),
+  (4, '4th Year'),
+  (5, '5th Year'),
+  (6, 'Postgraduate'),
+  (7, 'PhD')
+ON CONFLICT (value) DO NOTHING;
+
+INSERT INTO public.schools (university_id, name)
+SELECT u.id, s.name
+FROM public.universities u
+CROSS JOIN (VALUES
+  ('School of Information & Communication Technology'),
+  ('School of Engineering'),
+  ('School of Management'),
+  ('School of Biotechnology'),
+  ('School of Law, Justice & Governance'),
+  ('School of Humanities & Social Sciences')
+) AS s(name)
+WHERE u.domain = 'gbu.ac.in'
+ON CONFLICT (university_id, name) DO NOTHING;
+
+INSERT INTO public.departments (school_id, name)
+SELECT s.id, d.name
+FROM public.schools s
+JOIN (VALUES
+  ('School of Information & Communication Technology', 'Computer Science & Engineering'),
+  ('School of Information & Communication Technology', 'Information Technology'),
+  ('School of Information & Communication Technology', 'Electronics & Communication Engineering'),
+  ('School of Engineering', 'Mechanical Engineering'),
+  ('School of Engineering', 'Civil Engineering'),
+  ('School of Engineering', 'Electrical Engineering'),
+  ('School of Management', 'Business Administration'),
+  ('School of Biotechnology', 'Biotechnology'),
+  ('School of Law, Justice & Governance', 'Law'),
+  ('School of Humanities & Social Sciences', 'Psychology'),
+  ('School of Humanities & Social Sciences', 'English')
+) AS d(school, name) ON d.school = s.name
+ON CONFLICT (school_id, name) DO NOTHING;
+
+-- Remaining Profile Fields From the Spec
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS gender TEXT CHECK ( gender IN ('woman', 'man', 'non_binary', 'prefer_not_to_say') ),
+ADD COLUMN IF NOT EXISTS academic_year INTEGER REFERENCES public.academic_years,
+ADD COLUMN IF NOT EXISTS course TEXT CHECK ( char_length(course) <= 60 ),
+ADD COLUMN IF NOT EXISTS bio TEXT CHECK ( char_length(bio) <= 160 );
+
+-- NOT VALID: only rows written from now on have to respect the limits
+ALTER TABLE public.profiles
+ADD CONSTRAINT profiles_name_length CHECK ( char_length(name) BETWEEN 1 AND 40 ) NOT VALID,
+ADD CONSTRAINT profiles_branch_length CHECK ( char_length(branch) <= 60 ) NOT VALID;
+
+-- WhatsApp Numbers Are Stored in E.164 (+<country code><number>)
+ALTER TABLE public.profiles
+ADD CONSTRAINT profiles_whatsapp_e164 CHECK ( whatsapp ~ '^\+[1-9][0-9]{6,14}$' ) NOT VALID;
+
+-- Private Contacts
+-- WhatsApp numbers live outside the publicly readable profile row. Only the
+-- owner can read their own; a partner gets it solely via get_chat_contacts().
+CREATE TABLE IF NOT EXISTS public.private_contacts (
+  user_id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+  whatsapp TEXT NOT NULL CHECK ( whatsapp ~ '^\+[1-9][0-9]{6,14}$' ),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.private_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own contact."
+  ON public.private_contacts FOR SELECT
+  USING ( auth.uid() = user_id );
+
+CREATE POLICY "Users can add their own contact."
+  ON public.private_contacts FOR INSERT
+  WITH CHECK ( auth.uid() = user_id );
+
+CREATE POLICY "Users can update their own contact."
+  ON public.private_contacts FOR UPDATE
+  USING ( auth.uid() = user_id );
+
+INSERT INTO public.private_contacts (user_id, whatsapp)
+SELECT id, whatsapp FROM public.profiles
+WHERE whatsapp ~ '^\+[1-9][0-9]{6,14}$'
+ON CONFLICT (user_id) DO NOTHING;
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_whatsapp_e164;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS whatsapp;
+
+-- Both numbers in one call, and only once the chat reached Stage 5 through
+-- a Yes + Yes connection vote, so neither side can see the other's first
+CREATE OR REPLACE FUNCTION public.get_chat_contacts(p_chat_id UUID)
+RETURNS TABLE (user_id UUID, whatsapp TEXT)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+  IF v_chat.stage < 5 THEN
+    RAISE EXCEPTION 'Contacts are only shared after both of you say yes';
+  END IF;
+
+  RETURN QUERY
+  SELECT c.user_id, c.whatsapp
+  FROM public.private_contacts c
+  WHERE c.user_id IN (v_chat.user1_id, v_chat.user2_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_chat_contacts(UUID) TO authenticated;
+
+-- Private Avatars & Stage-Based Photo Reveal
+-- The bucket is private, so getPublicUrl links stop working. Photos are read
+-- through short-lived signed URLs, and storage only signs one when
+-- can_view_avatar() allows it: yourself, a moderator, or a partner in a live
+-- chat that has passed the Stage 2 mutual interest check.
+-- The size and type limits repeat validateAvatarFile() in the app, so uploads
+-- straight to the storage API are held to the same rules.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('avatars', 'avatars', false, 8388608, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO UPDATE
+SET public = false,
+    file_size_limit = EXCLUDED.file_size_limit,
+    allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS avatar_path TEXT;
+
+-- Only uploads already under "<user id>/" carry over. Older ones sit at the
+-- bucket root as "<user id>-<random>.<ext>", which the policies below can't
+-- attribute to an owner and which exist in one size only, so those users
+-- start without a photo and upload a new one (the old files can be removed
+-- from the storage dashboard).
+UPDATE public.profiles
+SET avatar_path = split_part(split_part(avatar_url, '/object/public/avatars/', 2), '?', 1)
+WHERE avatar_url IS NOT NULL
+  AND avatar_path IS NULL
+  AND split_part(split_part(avatar_url, '/object/public/avatars/', 2), '?', 1) LIKE id::text || '/%';
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS avatar_url;
+
+-- Takes the object's first folder as text: any name can reach this policy,
+-- so casting it to a UUID could fail.
+DROP POLICY IF EXISTS "Avatars are visible once the interest check passes." ON storage.objects;
+DROP FUNCTION IF EXISTS public.can_view_avatar(UUID);
+CREATE OR REPLACE FUNCTION public.can_view_avatar(p_owner_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT auth.uid()::text = p_owner_id
+    OR public.is_admin()
+    OR EXISTS (
+      SELECT 1 FROM public.chats
+      WHERE active
+        AND stage >= 3
+        AND auth.uid() IN (user1_id, user2_id)
+        AND p_owner_id IN (user1_id::text, user2_id::text)
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.can_view_avatar(TEXT) TO authenticated;
+
+CREATE POLICY "Avatars are visible once the interest check passes."
+  ON storage.objects FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'avatars'
+    AND public.can_view_avatar((storage.foldername(name))[1])
+  );
+
+CREATE POLICY "Users can upload their own avatar."
+  ON storage.objects FOR INSERT
+  TO authenticated
+  WITH CHECK ( bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text );
+
+CREATE POLICY "Users can replace their own avatar."
+  ON storage.objects FOR UPDATE
+  TO authenticated
+  USING ( bucket_id = 'avatars' AND (storage.foldername(name))[1] = auth.uid()::text );
+
+-- Also covers pre-folder uploads named "<user id>-<random>.<ext>"
+CREATE POLICY "Users can delete their own avatar."
+  ON storage.objects FOR DELETE
+  TO authenticated
+  USING (
+    bucket_id = 'avatars'
+    AND ((storage.foldername(name))[1] = auth.uid()::text OR name LIKE auth.uid()::text || '-%')
+  );
+
+-- Presence
+-- Live counts come from Realtime Presence on a per-campus "online:<university id>"
+-- channel. The profile flags are kept for the server: clients heartbeat every
+-- 30 seconds, and a cron sweep marks anyone silent for 90 seconds as offline,
+-- takes them out of the match queue and ends their live chats.
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION public.touch_presence()
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.profiles
+  SET is_online = true, last_seen_at = NOW()
+  WHERE id = auth.uid();
+$$;
+
+CREATE OR REPLACE FUNCTION public.go_offline()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('match_queue'));
+  DELETE FROM public.match_queue WHERE user_id = auth.uid();
+  UPDATE public.profiles
+  SET is_online = false, is_searching = false
+  WHERE id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.touch_presence() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.go_offline() TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.clear_stale_presence()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('match_queue'));
+
+  DELETE FROM public.match_queue q
+  USING public.profiles p
+  WHERE p.id = q.user_id
+    AND (p.last_seen_at IS NULL OR p.last_seen_at < NOW() - INTERVAL '90 seconds');
+
+  UPDATE public.profiles
+  SET is_online = false, is_searching = false
+  WHERE (is_online OR is_searching)
+    AND (last_seen_at IS NULL OR last_seen_at < NOW() - INTERVAL '90 seconds');
+
+  -- A live partner ends the chat themselves after the disconnect grace
+  -- period; this catches chats where nobody is left to do that.
+  FOR v_chat IN
+    UPDATE public.chats c
+    SET active = false,
+        ended_at = NOW(),
+        end_reason = CASE
+          WHEN c.stage >= 5 THEN 'contact_exchanged'
+          WHEN stale.gone = 2 THEN 'timeout'
+          ELSE 'disconnected'
+        END
+    FROM (
+      SELECT ch.id, count(*) AS gone
+      FROM public.chats ch
+      JOIN public.profiles p ON p.id IN (ch.user1_id, ch.user2_id)
+      WHERE ch.active
+        AND (p.last_seen_at IS NULL OR p.last_seen_at < NOW() - INTERVAL '90 seconds')
+      GROUP BY ch.id
+    ) stale
+    WHERE c.id = stale.id
+    RETURNING c.*
+  LOOP
+    PERFORM realtime.send(
+      jsonb_build_object('stage', v_chat.stage, 'active', false, 'end_reason', v_chat.end_reason),
+      'chat_state',
+      'chat:' || v_chat.id,
+      true
+    );
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.clear_stale_presence() FROM PUBLIC, anon, authenticated;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+SELECT cron.schedule('clear-stale-presence', '* * * * *', 'SELECT public.clear_stale_presence()');
+
+CREATE OR REPLACE FUNCTION public.is_campus_presence_topic(p_topic TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.profiles
+    WHERE id = auth.uid()
+      AND 'online:' || university_id::text = p_topic
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_campus_presence_topic(TEXT) TO authenticated;
+
+CREATE POLICY "Students can see who is online on their campus."
+  ON realtime.messages FOR SELECT
+  TO authenticated
+  USING ( realtime.messages.extension = 'presence' AND public.is_campus_presence_topic(realtime.topic()) );
+
+CREATE POLICY "Students can announce themselves on their campus."
+  ON realtime.messages FOR INSERT
+  TO authenticated
+  WITH CHECK ( realtime.messages.extension = 'presence' AND public.is_campus_presence_topic(realtime.topic()) );
+
+-- Realtime Chat Row Changes
+-- App listens for new chats and ChatView for updates to its own row, so the
+-- table has to be part of the realtime publication.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'chats'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.chats;
+  END IF;
+END;
+$$;
+
+-- Chat Lifecycle
+-- end_chat() is the one way a participant ends a chat, so every ended row
+-- carries ended_at and a reason. Server-side endings (consent votes, blocks,
+-- moderation) set the same columns themselves. Ended chats stay ended.
+-- Participants get no UPDATE policy on chats: a direct write could move the
+-- stage past a consent vote and expose contacts.
+DROP POLICY IF EXISTS "Participants can update their live chats." ON public.chats;
+
+ALTER TABLE public.chats
+ADD COLUMN IF NOT EXISTS end_reason TEXT
+  CHECK ( end_reason IN ('declined', 'timeout', 'blocked', 'disconnected', 'contact_exchanged', 'moderated') );
+
+UPDATE public.chats
+SET ended_at = COALESCE(ended_at, created_at)
+WHERE NOT active AND ended_at IS NULL;
+
+CREATE OR REPLACE FUNCTION public.end_chat(p_chat_id UUID, p_reason TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+BEGIN
+  IF p_reason NOT IN ('declined', 'timeout', 'blocked', 'disconnected', 'contact_exchanged') THEN
+    RAISE EXCEPTION 'Unknown end reason %', p_reason;
+  END IF;
+
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+
+  -- Both sides may end it at once (e.g. a mutual disconnect); the first reason wins
+  IF NOT v_chat.active THEN
+    RETURN;
+  END IF;
+
+  IF p_reason = 'contact_exchanged' AND v_chat.stage < 5 THEN
+    RAISE EXCEPTION 'Contacts have not been exchanged in this chat';
+  END IF;
+
+  UPDATE public.chats
+  SET active = false, ended_at = NOW(), end_reason = p_reason
+  WHERE id = p_chat_id;
+
+  PERFORM realtime.send(
+    jsonb_build_object('stage', v_chat.stage, 'active', false, 'end_reason', p_reason),
+    'chat_state',
+    'chat:' || p_chat_id,
+    true
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.end_chat(UUID, TEXT) TO authenticated;
+
+DROP FUNCTION IF EXISTS public.end_abandoned_chat(UUID);
+
+-- Nobody, not even a server function, can bring an ended chat back
+CREATE OR REPLACE FUNCTION public.guard_chat_lifecycle()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT OLD.active THEN
+    RAISE EXCEPTION 'Chat % has ended and cannot be changed', OLD.id;
+  END IF;
+
+  IF NOT NEW.active THEN
+    NEW.ended_at := COALESCE(NEW.ended_at, NOW());
+  ELSE
+    NEW.ended_at := NULL;
+    NEW.end_reason := NULL;
+  END IF;
+
+  NEW.user1_id := OLD.user1_id;
+  NEW.user2_id := OLD.user2_id;
+  NEW.created_at := OLD.created_at;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_chat_lifecycle ON public.chats;
+CREATE TRIGGER guard_chat_lifecycle
+  BEFORE UPDATE ON public.chats
+  FOR EACH ROW EXECUTE FUNCTION public.guard_chat_lifecycle();
+
+-- Stage State Machine
+-- chats.stage only moves through the functions below. Legal transitions:
+--   0 -> 1  Match Initiated -> Icebreaker: both have spoken and 4 messages
+--           were sent, or 2 minutes have passed (checked on every message)
+--   1 -> 2  Icebreaker -> Interest Check: 10 messages (3 each), 3 minutes
+--   2 -> 3  only by a Yes + Yes consent vote
+--   3 -> 4  Mutual Engagement -> Connection Decision: 10 messages (3 each), 3 minutes
+--   4 -> 5  only by a Yes + Yes consent vote
+--   4 -> 3  a Not Now vote sends both back for another round
+-- Message counts are per stage: clients report each message they send through
+-- record_chat_message(). The content itself only travels over the chat's
+-- private broadcast and never reaches Postgres.
+DROP TRIGGER IF EXISTS guard_consent_stages ON public.chats;
+DROP FUNCTION IF EXISTS public.guard_consent_stages();
+
+ALTER TABLE public.chats
+ADD COLUMN IF NOT EXISTS stage_entered_at TIMESTAMPTZ DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS user1_stage_messages INTEGER DEFAULT 0 NOT NULL,
+ADD COLUMN IF NOT EXISTS user2_stage_messages INTEGER DEFAULT 0 NOT NULL;
+
+ALTER TABLE public.chats
+ADD CONSTRAINT chats_stage_range CHECK ( stage BETWEEN 0 AND 5 );
+
+CREATE TABLE IF NOT EXISTS public.chat_stage_transitions (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  chat_id UUID REFERENCES public.chats ON DELETE CASCADE NOT NULL,
+  from_stage INTEGER NOT NULL,
+  to_stage INTEGER NOT NULL,
+  cause TEXT NOT NULL CHECK ( cause IN ('threshold', 'vote') ),
+  actor_id UUID REFERENCES auth.users ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.chat_stage_transitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can see stage transitions."
+  ON public.chat_stage_transitions FOR SELECT
+  TO authenticated
+  USING ( public.is_admin() );
+
+-- How far a chat is from its next threshold-based stage.
+-- Returns { ready, messages_needed, seconds_left }; voting stages and the
+-- final stage are never ready here.
+CREATE OR REPLACE FUNCTION public.chat_stage_progress(p_chat public.chats)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_total_min INTEGER;
+  v_each_min INTEGER;
+  v_min_seconds INTEGER;
+  v_messages_needed INTEGER;
+  v_seconds_left INTEGER;
+BEGIN
+  CASE p_chat.stage
+    WHEN 0 THEN v_total_min := 4;  v_each_min := 1; v_min_seconds := 120;
+    WHEN 1 THEN v_total_min := 10; v_each_min := 3; v_min_seconds := 180;
+    WHEN 3 THEN v_total_min := 10; v_each_min := 3; v_min_seconds := 180;
+    ELSE
+      RETURN jsonb_build_object('ready', false, 'messages_needed', 0, 'seconds_left', 0);
+  END CASE;
+
+  v_messages_needed := GREATEST(
+    v_total_min - (p_chat.user1_stage_messages + p_chat.user2_stage_messages),
+    GREATEST(v_each_min - p_chat.user1_stage_messages, 0) + GREATEST(v_each_min - p_chat.user2_stage_messages, 0)
+  );
+  v_seconds_left := GREATEST(
+    CEIL(v_min_seconds - EXTRACT(EPOCH FROM NOW() - p_chat.stage_entered_at))::INTEGER,
+    0
+  );
+
+  RETURN jsonb_build_object(
+    -- The icebreaker starts on either threshold, later stages need both
+    'ready', CASE WHEN p_chat.stage = 0
+      THEN v_messages_needed = 0 OR v_seconds_left = 0
+      ELSE v_messages_needed = 0 AND v_seconds_left = 0
+    END,
+    'messages_needed', v_messages_needed,
+    'seconds_left', v_seconds_left
+  );
+END;
+$$;
+
+-- Moves a locked, live chat one stage forward if its threshold is met.
+-- Callers must hold the row lock; returns the (possibly unchanged) row.
+CREATE OR REPLACE FUNCTION public.try_advance_chat(p_chat public.chats)
+RETURNS public.chats
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE := p_chat;
+BEGIN
+  IF NOT v_chat.active OR NOT (public.chat_stage_progress(v_chat)->>'ready')::BOOLEAN THEN
+    RETURN v_chat;
+  END IF;
+
+  PERFORM set_config('app.stage_machine', 'on', true);
+  UPDATE public.chats SET stage = stage + 1 WHERE id = v_chat.id
+  RETURNING * INTO v_chat;
+
+  PERFORM realtime.send(
+    jsonb_build_object('stage', v_chat.stage, 'active', true),
+    'chat_state',
+    'chat:' || v_chat.id,
+    true
+  );
+  RETURN v_chat;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.try_advance_chat(public.chats) FROM PUBLIC, anon, authenticated;
+
+-- The only way ChatView asks for the next stage.
+-- Returns { status: 'advanced' | 'not_ready', stage, messages_needed, seconds_left }.
+CREATE OR REPLACE FUNCTION public.advance_chat_stage(p_chat_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+  v_stage INTEGER;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+  IF NOT v_chat.active THEN
+    RAISE EXCEPTION 'This chat has already ended';
+  END IF;
+  IF v_chat.stage NOT IN (0, 1, 3) THEN
+    RAISE EXCEPTION 'Stage % is not advanced on request', v_chat.stage;
+  END IF;
+
+  v_stage := v_chat.stage;
+  v_chat := public.try_advance_chat(v_chat);
+
+  RETURN public.chat_stage_progress(v_chat) || jsonb_build_object(
+    'status', CASE WHEN v_chat.stage > v_stage THEN 'advanced' ELSE 'not_ready' END,
+    'stage', v_chat.stage
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.advance_chat_stage(UUID) TO authenticated;
+
+-- Counts one message from the caller towards the stage thresholds. Takes no
+-- content on purpose: the text is broadcast by the client and never stored.
+CREATE OR REPLACE FUNCTION public.record_chat_message(p_chat_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+  IF NOT v_chat.active OR v_chat.stage >= 5 THEN
+    RAISE EXCEPTION 'Messaging is closed in this chat';
+  END IF;
+
+  UPDATE public.chats
+  SET user1_stage_messages = user1_stage_messages + (auth.uid() = user1_id)::INTEGER,
+      user2_stage_messages = user2_stage_messages + (auth.uid() = user2_id)::INTEGER,
+      last_message_at = NOW()
+  WHERE id = p_chat_id
+  RETURNING * INTO v_chat;
+
+  -- The icebreaker kicks in by itself once the first exchange happened
+  IF v_chat.stage = 0 THEN
+    PERFORM public.try_advance_chat(v_chat);
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_chat_message(UUID) TO authenticated;
+
+-- Earlier revision relayed message content through Postgres
+DROP FUNCTION IF EXISTS public.send_chat_message(UUID, TEXT);
+
+-- Enforces the transition table above, resets the per-stage counters and
+-- logs every stage change, whichever function made it.
+CREATE OR REPLACE FUNCTION public.guard_chat_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.stage IS NOT DISTINCT FROM OLD.stage THEN
+    RETURN NEW;
+  END IF;
+
+  IF current_setting('app.stage_machine', true) IS DISTINCT FROM 'on' THEN
+    RAISE EXCEPTION 'Chat stages can only change through the stage machine';
+  END IF;
+  IF NOT (NEW.stage = OLD.stage + 1 OR (OLD.stage = 4 AND NEW.stage = 3)) THEN
+    RAISE EXCEPTION 'Illegal stage transition % -> %', OLD.stage, NEW.stage;
+  END IF;
+
+  NEW.stage_entered_at := NOW();
+  NEW.user1_stage_messages := 0;
+  NEW.user2_stage_messages := 0;
+
+  INSERT INTO public.chat_stage_transitions (chat_id, from_stage, to_stage, cause, actor_id)
+  VALUES (
+    NEW.id,
+    OLD.stage,
+    NEW.stage,
+    CASE WHEN OLD.stage IN (2, 4) THEN 'vote' ELSE 'threshold' END,
+    auth.uid()
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS guard_chat_stage ON public.chats;
+CREATE TRIGGER guard_chat_stage
+  BEFORE UPDATE ON public.chats
+  FOR EACH ROW EXECUTE FUNCTION public.guard_chat_stage();
+
+-- Conversation Prompts
+-- A bank of icebreakers (Stage 1) and reflection prompts (Stage 3). Prompts
+-- with a university_id only show up on that campus. Clients call
+-- request_chat_prompt() when the chat has gone quiet; the row lock plus
+-- last_prompt_at make sure only one prompt goes out, broadcast to both sides.
+CREATE TABLE IF NOT EXISTS public.conversation_prompts (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  stage INTEGER NOT NULL CHECK ( stage IN (1, 3) ),
+  category TEXT NOT NULL CHECK ( category IN ('icebreaker', 'campus', 'fun', 'reflection', 'values') ),
+  university_id UUID REFERENCES public.universities ON DELETE CASCADE,
+  prompt TEXT NOT NULL CHECK ( char_length(prompt) BETWEEN 1 AND 200 ),
+  active BOOLEAN DEFAULT true NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Read only through request_chat_prompt()
+ALTER TABLE public.conversation_prompts ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO public.conversation_prompts (stage, category, university_id, prompt)
+SELECT v.stage, v.category, u.id, v.prompt
+FROM (VALUES
+  (1, 'icebreaker', NULL, 'What''s the best thing that happened to you this week?'),
+  (1, 'icebreaker', NULL, 'If you could master one skill overnight, what would it be?'),
+  (1, 'fun', NULL, 'Chai or coffee? Defend your answer.'),
+  (1, 'fun', NULL, 'What''s a song you''ve had on repeat lately?'),
+  (1, 'campus', NULL, 'Which class would you recommend to a first year, and which would you warn them about?'),
+  (1, 'campus', NULL, 'Where on campus do you go when you need a break?'),
+  (1, 'campus', 'gbu.ac.in', 'Best spot at GBU to watch the sunset: go!'),
+  (3, 'reflection', NULL, 'What''s something you''ve changed your mind about recently?'),
+  (3, 'reflection', NULL, 'What does a really good day look like for you?'),
+  (3, 'reflection', NULL, 'Who has shaped the way you think the most?'),
+  (3, 'values', NULL, 'What''s one thing you want to get out of your time at university?'),
+  (3, 'values', NULL, 'What makes you feel most like yourself?')
+) AS v(stage, category, domain, prompt)
+LEFT JOIN public.universities u ON u.domain = v.domain
+WHERE NOT EXISTS (SELECT 1 FROM public.conversation_prompts);
+
+ALTER TABLE public.chats
+ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_prompt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS shown_prompt_ids BIGINT[] DEFAULT '{}' NOT NULL;
+
+-- Sends a prompt if the chat has been quiet for 45 seconds and no prompt went
+-- out in that time. Returns the prompt, or NULL if none was due.
+CREATE OR REPLACE FUNCTION public.request_chat_prompt(p_chat_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_chat public.chats%ROWTYPE;
+  v_prompt public.conversation_prompts%ROWTYPE;
+  v_payload JSONB;
+BEGIN
+  SELECT * INTO v_chat FROM public.chats WHERE id = p_chat_id FOR UPDATE;
+
+  IF NOT FOUND OR auth.uid() NOT IN (v_chat.user1_id, v_chat.user2_id) THEN
+    RAISE EXCEPTION 'Not a participant of this chat';
+  END IF;
+
+  IF NOT v_chat.active
+     OR v_chat.stage NOT IN (1, 3)
+     OR GREATEST(v_chat.last_message_at, v_chat.last_prompt_at, v_chat.stage_entered_at) > NOW() - INTERVAL '45 seconds' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_prompt
+  FROM public.conversation_prompts
+  WHERE active
+    AND stage = v_chat.stage
+    -- Campus prompts only when both participants are from that campus
+    AND (university_id IS NULL OR university_id = ALL (
+      SELECT p.university_id FROM public.profiles p WHERE p.id IN (v_chat.user1_id, v_chat.user2_id)
+    ))
+    AND id <> ALL (v_chat.shown_prompt_ids)
+  ORDER BY random()
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.chats
+  SET last_prompt_at = NOW(),
+      shown_prompt_ids = array_append(shown_prompt_ids, v_prompt.id)
+  WHERE id = p_chat_id;
+
+  v_payload := jsonb_build_object(
+    'id', gen_random_uuid(),
+    'prompt_id', v_prompt.id,
+    'category', v_prompt.category,
+    'content', v_prompt.prompt,
+    'created_at', NOW()
+  );
+  PERFORM realtime.send(v_payload, 'system_prompt', 'chat:' || p_chat_id, true);
+
+  RETURN v_payload;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.request_chat_prompt(UUID) TO authenticated;
+
+-- The text of a prompt the server already sent to this chat, so clients never
+-- have to trust a system_prompt broadcast's payload
+CREATE OR REPLACE FUNCTION public.get_chat_prompt(p_chat_id UUID, p_prompt_id BIGINT)
+RETURNS TABLE (id BIGINT, category TEXT, prompt TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT cp.id, cp.category, cp.prompt
+  FROM public.chats c
+  JOIN public.conversation_prompts cp ON cp.id = ANY (c.shown_prompt_ids)
+  WHERE c.id = p_chat_id
+    AND cp.id = p_prompt_id
+    AND auth.uid() IN (c.user1_id, c.user2_id);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_chat_prompt(UUID, BIGINT) TO authenticated;
+
+-- Match Preferences
+-- Optional per-user filters for the Campus Radar. An empty interested_in or a
+-- NULL year bound means "anyone". join_match_queue() only pairs two people
+-- when each satisfies the other's filters.
+CREATE TABLE IF NOT EXISTS public.match_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+  interested_in TEXT[] DEFAULT '{}' NOT NULL
+    CHECK ( interested_in <@ ARRAY['woman', 'man', 'non_binary', 'prefer_not_to_say'] ),
+  min_year INTEGER REFERENCES public.academic_years,
+  max_year INTEGER REFERENCES public.academic_years,
+  school_scope TEXT DEFAULT 'any' NOT NULL CHECK ( school_scope IN ('any', 'same', 'other') ),
+  exclude_own_department BOOLEAN DEFAULT false NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK ( min_year IS NULL OR max_year IS NULL OR min_year <= max_year )
+);
+
+ALTER TABLE public.match_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own match preferences."
+  ON public.match_preferences FOR SELECT
+  USING ( auth.uid() = user_id );
+
+CREATE POLICY "Users can set their own match preferences."
+  ON public.match_preferences FOR INSERT
+  WITH CHECK ( auth.uid() = user_id );
+
+CREATE POLICY "Users can update their own match preferences."
+  ON public.match_preferences FOR UPDATE
+  USING ( auth.uid() = user_id );
+
+-- Whether p_candidate passes p_seeker's filters. A gender, year or school
+-- filter fails on a field the candidate left empty, since we can't tell
+-- whether it would match; the department exclusion only drops known matches.
+CREATE OR REPLACE FUNCTION public.satisfies_match_preferences(p_seeker UUID, p_candidate UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT mp.user_id IS NULL OR (
+    (cardinality(mp.interested_in) = 0 OR COALESCE(c.gender = ANY (mp.interested_in), false))
+    AND (mp.min_year IS NULL OR COALESCE(c.academic_year >= mp.min_year, false))
+    AND (mp.max_year IS NULL OR COALESCE(c.academic_year <= mp.max_year, false))
+    AND CASE mp.school_scope
+      WHEN 'same' THEN COALESCE(c.school = s.school, false)
+      WHEN 'other' THEN COALESCE(c.school <> s.school, false)
+      ELSE true
+    END
+    AND NOT (mp.exclude_own_department AND COALESCE(c.department = s.department, false))
+  )
+  FROM public.profiles s
+  CROSS JOIN public.profiles c
+  LEFT JOIN public.match_preferences mp ON mp.user_id = s.id
+  WHERE s.id = p_seeker AND c.id = p_candidate;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.satisfies_match_preferences(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Match History & Rematch Cooldown
+-- One row per pair that has ever been matched, keyed by a salted hash of the
+-- two user ids, so the table holds no identities and no message content.
+-- Pairs who exchanged contacts are never matched again; declined pairs wait
+-- out rematch_cooldown (adjustable in matchmaking_settings).
+CREATE TABLE IF NOT EXISTS public.matchmaking_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK ( id ),
+  rematch_cooldown INTERVAL DEFAULT INTERVAL '7 days' NOT NULL,
+  pair_hash_salt TEXT DEFAULT gen_random_uuid()::text NOT NULL
+);
+
+-- Server-only: no policies, read through the functions below
+ALTER TABLE public.matchmaking_settings ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO public.matchmaking_settings (id) VALUES (true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.match_history (
+  pair_hash TEXT PRIMARY KEY,
+  last_outcome TEXT NOT NULL CHECK ( last_outcome IN ('declined', 'contact_exchanged', 'ended') ),
+  times_matched INTEGER DEFAULT 1 NOT NULL,
+  last_ended_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+ALTER TABLE public.match_history ENABLE ROW LEVEL SECURITY;
+
+-- No longer used: the queue ranks by waiting time alone
+DROP INDEX IF EXISTS public.chats_user1_created_at;
+DROP INDEX IF EXISTS public.chats_user2_created_at;
+
+-- Order-independent: (a, b) and (b, a) hash the same
+CREATE OR REPLACE FUNCTION public.pair_hash(p_user_a UUID, p_user_b UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT encode(
+    sha256(convert_to(
+      s.pair_hash_salt || ':' || LEAST(p_user_a, p_user_b)::text || ':' || GREATEST(p_user_a, p_user_b)::text,
+      'UTF8'
+    )),
+    'hex'
+  )
+  FROM public.matchmaking_settings s;
+$$;
+
+CREATE OR REPLACE FUNCTION public.can_rematch(p_user_a UUID, p_user_b UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT NOT EXISTS (
+    SELECT 1
+    FROM public.match_history h
+    CROSS JOIN public.matchmaking_settings s
+    WHERE h.pair_hash = public.pair_hash(p_user_a, p_user_b)
+      AND (
+        h.last_outcome = 'contact_exchanged'
+        OR (h.last_outcome = 'declined' AND h.last_ended_at > NOW() - s.rematch_cooldown)
+      )
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.pair_hash(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.can_rematch(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Records the outcome when a chat reaches the contact exchange or ends,
+-- however that happened. A contact exchange is never overwritten.
+CREATE OR REPLACE FUNCTION public.record_match_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_outcome TEXT;
+BEGIN
+  v_outcome := CASE
+    WHEN NEW.stage >= 5 THEN 'contact_exchanged'
+    WHEN NEW.end_reason = 'declined' THEN 'declined'
+    ELSE 'ended'
+  END;
+
+  INSERT INTO public.match_history (pair_hash, last_outcome)
+  VALUES (public.pair_hash(NEW.user1_id, NEW.user2_id), v_outcome)
+  ON CONFLICT (pair_hash) DO UPDATE
+  SET last_outcome = CASE
+        WHEN match_history.last_outcome = 'contact_exchanged' THEN match_history.last_outcome
+        ELSE EXCLUDED.last_outcome
+      END,
+      -- Reaching Stage 5 and then leaving is still the same match
+      times_matched = match_history.times_matched + CASE WHEN OLD.stage >= 5 THEN 0 ELSE 1 END,
+      last_ended_at = NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_match_history ON public.chats;
+CREATE TRIGGER record_match_history
+  AFTER UPDATE OF active, stage ON public.chats
+  FOR EACH ROW
+  WHEN ( (OLD.active AND NOT NEW.active) OR (NEW.stage >= 5 AND OLD.stage < 5) )
+  EXECUTE FUNCTION public.record_match_history();
+
+-- Search Timeout & Queue Status
+-- Searching stops after search_timeout: the dashboard gives up on its own,
+-- and a cron sweep removes entries from tabs that never did.
+ALTER TABLE public.matchmaking_settings
+ADD COLUMN IF NOT EXISTS search_timeout INTERVAL DEFAULT INTERVAL '5 minutes' NOT NULL;
+
+-- Returns { queued, joined_at, others_waiting, timeout_seconds } for the caller.
+-- others_waiting counts people on the same campus, whether or not they would
+-- pass the caller's preferences.
+CREATE OR REPLACE FUNCTION public.get_match_queue_status()
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'queued', mine.user_id IS NOT NULL,
+    'joined_at', mine.joined_at,
+    'others_waiting', (
+      SELECT count(*)
+      FROM public.match_queue q
+      JOIN public.profiles p ON p.id = q.user_id
+      WHERE q.user_id <> auth.uid()
+        AND p.university_id IS NOT DISTINCT FROM me.university_id
+    ),
+    'timeout_seconds', EXTRACT(EPOCH FROM s.search_timeout)::INTEGER
+  )
+  FROM public.matchmaking_settings s
+  CROSS JOIN public.profiles me
+  LEFT JOIN public.match_queue mine ON mine.user_id = me.id
+  WHERE me.id = auth.uid();
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_match_queue_status() TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.expire_match_queue()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('match_queue'));
+
+  WITH expired AS (
+    DELETE FROM public.match_queue q
+    USING public.matchmaking_settings s
+    WHERE q.joined_at < NOW() - s.search_timeout
+    RETURNING q.user_id
+  )
+  UPDATE public.profiles
+  SET is_searching = false
+  WHERE id IN (SELECT user_id FROM expired);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.expire_match_queue() FROM PUBLIC, anon, authenticated;
+
+SELECT cron.schedule('expire-match-queue', '* * * * *', 'SELECT public.expire_match_queue()');
+
+-- Private Profile Fields
+-- The profile row is readable by every signed-in user, so like WhatsApp the
+-- exact date of birth and each account's moderation record move out of it.
+-- The owner reads their own rows; matching and moderation go through the
+-- security-definer functions above.
+CREATE TABLE IF NOT EXISTS public.private_profiles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+  date_of_birth DATE NOT NULL CHECK ( date_of_birth > DATE '1900-01-01' ),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.private_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own private profile."
+  ON public.private_profiles FOR SELECT
+  USING ( auth.uid() = user_id );
+
+CREATE POLICY "Users can add their own private profile."
+  ON public.private_profiles FOR INSERT
+  WITH CHECK ( auth.uid() = user_id );
+
+CREATE POLICY "Users can update their own private profile."
+  ON public.private_profiles FOR UPDATE
+  USING ( auth.uid() = user_id );
+
+INSERT INTO public.private_profiles (user_id, date_of_birth)
+SELECT id, date_of_birth FROM public.profiles
+WHERE date_of_birth IS NOT NULL
+ON CONFLICT (user_id) DO NOTHING;
+
+DROP TRIGGER IF EXISTS enforce_adult_profile ON public.profiles;
+DROP TRIGGER IF EXISTS enforce_adult_profile ON public.private_profiles;
+CREATE TRIGGER enforce_adult_profile
+  BEFORE INSERT OR UPDATE OF date_of_birth ON public.private_profiles
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_adult_profile();
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS date_of_birth;
+
+-- No write policies: only moderate_report() changes an account's standing
+CREATE TABLE IF NOT EXISTS public.account_standing (
+  user_id UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
+  banned BOOLEAN DEFAULT false NOT NULL,
+  suspended_until TIMESTAMPTZ,
+  warning_count INTEGER DEFAULT 0 NOT NULL,
+  last_warned_at TIMESTAMPTZ
+);
+
+ALTER TABLE public.account_standing ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can see their own standing."
+  ON public.account_standing FOR SELECT
+  USING ( auth.uid() = user_id );
+
+INSERT INTO public.account_standing (user_id, banned, suspended_until, warning_count, last_warned_at)
+SELECT id, coalesce(banned, false), suspended_until, coalesce(warning_count, 0), last_warned_at
+FROM public.profiles
+WHERE banned OR suspended_until IS NOT NULL OR warning_count > 0
+ON CONFLICT (user_id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.is_restricted(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.account_standing
+    WHERE user_id = p_user_id
+      AND (banned OR suspended_until > NOW())
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.is_restricted(UUID) FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS guard_moderation_columns ON public.profiles;
+DROP FUNCTION IF EXISTS public.guard_moderation_columns();
+
+ALTER TABLE public.profiles
+DROP COLUMN IF EXISTS banned,
+DROP COLUMN IF EXISTS suspended_until,
+DROP COLUMN IF EXISTS warning_count,
+DROP COLUMN IF EXISTS last_warned_at;